@@ -0,0 +1,20 @@
+// Toggles "Add listing here" mode, in which the next map click creates a listing
+export function AddListingButton({ listingsTable, isActive, onToggle, status }) {
+    if (!listingsTable.hasPermissionToCreateRecords()) {
+        return null;
+    }
+
+    return (
+        <div className="map-control">
+            <button
+                className={`map-control-button${isActive ? ' map-control-button-active' : ''}`}
+                onClick={onToggle}
+                aria-pressed={isActive}
+            >
+                {isActive ? 'Cancel adding listing' : 'Add listing here'}
+            </button>
+            {isActive && <div className="map-control-status">Click the map where the listing is</div>}
+            {!isActive && status && <div className="map-control-status">{status}</div>}
+        </div>
+    );
+}
@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { BOUNDARY_LAYERS_CONFIG_KEY, MAX_BOUNDARY_CONFIG_BYTES, parseBoundaryFile } from './boundaries';
+import { pluralize } from './format';
+
+// Boundary overlay layers: upload GeoJSON/KML files into the extension's
+// configuration, toggle each layer on the map, and remove layers
+export function BoundaryLayersPanel({ globalConfig, layers, hiddenLayerIds, onToggleLayer }) {
+    const [status, setStatus] = useState(null);
+    const canEdit = globalConfig.hasPermissionToSet(BOUNDARY_LAYERS_CONFIG_KEY);
+
+    if (layers.length === 0 && !canEdit) {
+        return null;
+    }
+
+    const saveLayersAsync = async (nextLayers) => {
+        if (new Blob([JSON.stringify(nextLayers)]).size > MAX_BOUNDARY_CONFIG_BYTES) {
+            throw new Error('Boundary files are too large to store in the extension configuration');
+        }
+        await globalConfig.setAsync(BOUNDARY_LAYERS_CONFIG_KEY, nextLayers);
+    };
+
+    const handleFiles = async (event) => {
+        const files = [...event.target.files];
+        event.target.value = '';
+        if (files.length === 0) {
+            return;
+        }
+
+        setStatus('Importing…');
+        const nextLayers = [...layers];
+        const failed = [];
+        for (const file of files) {
+            try {
+                nextLayers.push(parseBoundaryFile(file.name, await file.text(), nextLayers));
+            } catch (err) {
+                console.warn(`Failed to read boundary file ${file.name}:`, err);
+                failed.push(file.name);
+            }
+        }
+
+        try {
+            await saveLayersAsync(nextLayers);
+            const added = nextLayers.length - layers.length;
+            setStatus(`Added ${pluralize(added, 'layer')}` +
+                (failed.length > 0 ? `; couldn't read ${failed.join(', ')}` : ''));
+        } catch (err) {
+            console.warn('Failed to save boundary layers:', err);
+            setStatus(err.message);
+        }
+    };
+
+    const handleRemove = async (layerId) => {
+        try {
+            await saveLayersAsync(layers.filter(layer => layer.id !== layerId));
+            setStatus(null);
+        } catch (err) {
+            console.warn('Failed to remove boundary layer:', err);
+            setStatus('Could not remove layer');
+        }
+    };
+
+    return (
+        <div className="map-control boundary-panel">
+            <div className="marker-legend-title">Boundaries</div>
+            {layers.map(layer => (
+                <div key={layer.id} className="boundary-panel-row">
+                    <label className="filter-checkbox boundary-panel-toggle">
+                        <input
+                            type="checkbox"
+                            checked={!hiddenLayerIds.includes(layer.id)}
+                            onChange={() => onToggleLayer(layer.id)}
+                        />
+                        <span className="marker-legend-swatch" style={{ background: layer.color }} />
+                        <span className="marker-legend-label">{layer.name}</span>
+                    </label>
+                    {canEdit && (
+                        <button className="boundary-panel-remove" onClick={() => handleRemove(layer.id)} title="Remove layer" aria-label={`Remove ${layer.name}`}>
+                            ×
+                        </button>
+                    )}
+                </div>
+            ))}
+            {canEdit && (
+                <label className="map-control-button boundary-panel-upload">
+                    Import GeoJSON/KML
+                    <input type="file" accept=".geojson,.json,.kml" multiple onChange={handleFiles} hidden />
+                </label>
+            )}
+            {status && <div className="map-control-status">{status}</div>}
+        </div>
+    );
+}
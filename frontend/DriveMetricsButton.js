@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import {
+    createHttpDistanceMatrix,
+    findListingsNeedingMetrics,
+    calculateDriveMetricsAsync,
+} from './driveMetrics';
+import { updateRecordsInBatchesAsync } from './recordUpdates';
+import { pluralize } from './format';
+
+// "Calculate drive metrics" fills the drive distance/time fields from each
+// listing's linked requirement using the map provider's Distance Matrix (or a local stand-in)
+export function DriveMetricsButton({ listingsTable, listingRecords, locationsById, requirementAreas, fields, unit, serviceUrl, mapProvider }) {
+    const [status, setStatus] = useState(null);
+    const [isRunning, setIsRunning] = useState(false);
+
+    // Providers without a routing service can only use the stand-in
+    const createDistanceMatrix = serviceUrl ? () => createHttpDistanceMatrix(serviceUrl) : mapProvider.createDistanceMatrix;
+    if ((!fields.distanceField && !fields.driveTimeField) || !fields.requirementsField || !createDistanceMatrix) {
+        return null;
+    }
+
+    const jobs = findListingsNeedingMetrics(listingRecords, locationsById, requirementAreas, fields);
+    const writableFields = {};
+    [fields.distanceField, fields.driveTimeField, fields.sourceField].forEach(field => {
+        if (field) {
+            writableFields[field.id] = undefined;
+        }
+    });
+    const canUpdate = listingsTable.hasPermissionToUpdateRecords([{ fields: writableFields }]);
+    const nearestOfSeveralCount = jobs.filter(job => job.isNearestOfSeveral).length;
+    const description = 'Fills drive distance and time from the nearest linked requirement' + (fields.sourceField
+        ? '; values calculated from another requirement or address are recalculated'
+        : '; only empty values are filled, so set a Drive Metrics Source Field to also refresh outdated ones');
+
+    const handleCalculate = async () => {
+        setIsRunning(true);
+        setStatus(`Calculating 0/${jobs.length}…`);
+        try {
+            const getDistanceMatrix = createDistanceMatrix();
+            const { updatedCount, failures, error } = await calculateDriveMetricsAsync(jobs, getDistanceMatrix, fields, unit, {
+                writeUpdatesAsync: (updates) => updateRecordsInBatchesAsync(listingsTable, updates),
+                onProgress: (done, total, updated) => setStatus(`Calculating ${done}/${total} (${updated} saved)…`),
+            });
+            const notes = (failures.length > 0 ? `, ${failures.length} without a driving route` : '') +
+                (nearestOfSeveralCount > 0 ? `, ${nearestOfSeveralCount} measured from the nearest of several linked requirements` : '');
+            if (error) {
+                console.warn('Drive metrics stopped early:', error);
+                setStatus(`Drive metrics stopped after updating ${pluralize(updatedCount, 'listing')}${notes}: ${error.message}`);
+            } else {
+                setStatus(`Updated ${pluralize(updatedCount, 'listing')}${notes}`);
+            }
+        } catch (err) {
+            console.warn('Failed to calculate drive metrics:', err);
+            setStatus('Drive metrics failed');
+        } finally {
+            setIsRunning(false);
+        }
+    };
+
+    return (
+        <div className="map-control">
+            <button
+                className="map-control-button"
+                onClick={handleCalculate}
+                disabled={!canUpdate || isRunning || jobs.length === 0}
+                title={description}
+            >
+                Calculate drive metrics{jobs.length > 0 ? ` (${jobs.length})` : ''}
+            </button>
+            {status && <div className="map-control-status">{status}</div>}
+        </div>
+    );
+}
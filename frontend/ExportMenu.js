@@ -0,0 +1,34 @@
+import { useState } from 'react';
+import { EXPORT_FORMATS, downloadFile } from './mapExport';
+import { pluralize } from './format';
+
+// Downloads the plotted (filtered) requirements and listings in the chosen format
+export function ExportMenu({ getExportData }) {
+    const [status, setStatus] = useState(null);
+
+    const handleExport = (format) => {
+        try {
+            const data = getExportData();
+            const date = new Date().toISOString().slice(0, 10);
+            downloadFile(`vesper-map-${date}.${format.extension}`, format.build(data), format.mimeType);
+            setStatus(`Exported ${pluralize(data.requirements.length, 'requirement')} and ${pluralize(data.listings.length, 'listing')}`);
+        } catch (err) {
+            console.warn(`Failed to export ${format.label}:`, err);
+            setStatus('Export failed');
+        }
+    };
+
+    return (
+        <div className="map-control">
+            <div className="map-control-row">
+                <span className="map-control-label">Export</span>
+                {EXPORT_FORMATS.map(format => (
+                    <button key={format.value} className="map-control-button" onClick={() => handleExport(format)}>
+                        {format.label}
+                    </button>
+                ))}
+            </div>
+            {status && <div className="map-control-status">{status}</div>}
+        </div>
+    );
+}
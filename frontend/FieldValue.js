@@ -0,0 +1,106 @@
+import { colorUtils } from '@airtable/blocks/interface/ui';
+import { FieldType } from '@airtable/blocks/interface/models';
+import { toSafeUrl } from './safeUrl';
+
+// Unchecked checkboxes count as empty too
+function isEmptyCellValue(value) {
+    return value === null || value === false || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function ChoicePill({ choice }) {
+    const background = choice.color ? colorUtils.getHexForColor(choice.color) : null;
+    const style = background
+        ? { background, color: colorUtils.shouldUseLightTextOnColor(choice.color) ? '#ffffff' : '#1d1f25' }
+        : undefined;
+    return <span className="field-value-pill" style={style}>{choice.name}</span>;
+}
+
+function Rating({ value, max }) {
+    return (
+        <span className="field-value-rating" aria-label={`${value} out of ${max}`}>
+            {'★'.repeat(value)}
+            <span className="field-value-rating-empty">{'☆'.repeat(Math.max(max - value, 0))}</span>
+        </span>
+    );
+}
+
+function AttachmentThumbnails({ attachments }) {
+    return (
+        <span className="field-value-attachments">
+            {attachments.map(attachment => {
+                const url = toSafeUrl(attachment.url);
+                const thumbnailUrl = attachment.thumbnails && attachment.thumbnails.small
+                    ? toSafeUrl(attachment.thumbnails.small.url)
+                    : null;
+                if (!url) {
+                    return null;
+                }
+                return (
+                    <a key={attachment.id} href={url} target="_blank" rel="noopener noreferrer" title={attachment.filename}>
+                        {thumbnailUrl
+                            ? <img className="field-value-thumbnail" src={thumbnailUrl} alt={attachment.filename || ''} />
+                            : <span className="field-value-pill">{attachment.filename}</span>}
+                    </a>
+                );
+            })}
+        </span>
+    );
+}
+
+// Renders a cell value according to its field type. Numbers, currency, percent,
+// duration and dates use the field's own formatting through getCellValueAsString.
+export function FieldValue({ record, field }) {
+    const value = record.getCellValue(field.id);
+    if (isEmptyCellValue(value)) {
+        return null;
+    }
+
+    switch (field.type) {
+        case FieldType.SINGLE_SELECT:
+            return <ChoicePill choice={value} />;
+        case FieldType.MULTIPLE_SELECTS:
+            return (
+                <span className="field-value-pills">
+                    {value.map(choice => <ChoicePill key={choice.id} choice={choice} />)}
+                </span>
+            );
+        case FieldType.MULTIPLE_RECORD_LINKS:
+            return (
+                <span className="field-value-pills">
+                    {value.map(link => <span key={link.id} className="field-value-pill">{link.name || 'Unnamed record'}</span>)}
+                </span>
+            );
+        case FieldType.MULTIPLE_ATTACHMENTS:
+            return <AttachmentThumbnails attachments={value} />;
+        case FieldType.RATING:
+            return <Rating value={value} max={(field.options && field.options.max) || 5} />;
+        case FieldType.CHECKBOX:
+            return <span>✓</span>;
+        case FieldType.URL: {
+            const url = toSafeUrl(value);
+            return url
+                ? <a className="field-value-link" href={url} target="_blank" rel="noopener noreferrer">{value}</a>
+                : <span>{value}</span>;
+        }
+        default:
+            return <span className="field-value-text">{record.getCellValueAsString(field.id)}</span>;
+    }
+}
+
+// Label and value rows for a list of fields, skipping empty cells
+export function FieldValueList({ record, fields }) {
+    const rows = fields.filter(field => !isEmptyCellValue(record.getCellValue(field.id)));
+    if (rows.length === 0) {
+        return null;
+    }
+    return (
+        <dl className="field-value-list">
+            {rows.map(field => (
+                <div key={field.id} className="field-value-row">
+                    <dt>{field.name}</dt>
+                    <dd><FieldValue record={record} field={field} /></dd>
+                </div>
+            ))}
+        </dl>
+    );
+}
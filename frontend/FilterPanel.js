@@ -0,0 +1,175 @@
+import { EMPTY_FILTERS, hasActiveFilters } from './filters';
+
+function RangeFilter({ label, bounds, value, unitLabel, onChange }) {
+    if (!bounds || bounds[0] === bounds[1]) {
+        return null;
+    }
+
+    const [min, max] = value || bounds;
+
+    // A range covering every value is no filter at all, so listings without a value stay visible
+    const update = (nextMin, nextMax) => {
+        const isFullRange = nextMin <= bounds[0] && nextMax >= bounds[1];
+        onChange(isFullRange ? null : [nextMin, nextMax]);
+    };
+
+    return (
+        <div className="filter-section">
+            <div className="filter-label">
+                {label}
+                <span className="filter-range-value">{min}–{max} {unitLabel}</span>
+            </div>
+            <input
+                type="range"
+                className="filter-range"
+                min={bounds[0]}
+                max={bounds[1]}
+                value={min}
+                onChange={(e) => update(Math.min(Number(e.target.value), max), max)}
+                aria-label={`${label} minimum`}
+            />
+            <input
+                type="range"
+                className="filter-range"
+                min={bounds[0]}
+                max={bounds[1]}
+                value={max}
+                onChange={(e) => update(min, Math.max(Number(e.target.value), min))}
+                aria-label={`${label} maximum`}
+            />
+        </div>
+    );
+}
+
+export function FilterPanel({
+    isOpen,
+    onToggle,
+    filters,
+    onChange,
+    propertyTypeOptions,
+    requirementOptions,
+    boundaryOptions,
+    distanceBounds,
+    driveTimeBounds,
+    distanceUnitLabel,
+    visibleCount,
+    totalCount,
+}) {
+    const setFilter = (key, value) => onChange({ ...filters, [key]: value });
+
+    const togglePropertyType = (propertyType) => {
+        const propertyTypes = filters.propertyTypes.includes(propertyType)
+            ? filters.propertyTypes.filter(type => type !== propertyType)
+            : [...filters.propertyTypes, propertyType];
+        setFilter('propertyTypes', propertyTypes);
+    };
+
+    if (!isOpen) {
+        return (
+            <div className="filter-panel filter-panel-collapsed">
+                <button className="filter-panel-toggle" onClick={onToggle} title="Show filters">
+                    ☰
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="filter-panel">
+            <div className="filter-panel-header">
+                <span className="filter-panel-title">Filters</span>
+                <button className="filter-panel-toggle" onClick={onToggle} title="Hide filters">
+                    ‹
+                </button>
+            </div>
+
+            <div className="filter-count">
+                Showing {visibleCount} of {totalCount} listings
+            </div>
+
+            <div className="filter-section">
+                <input
+                    type="search"
+                    className="filter-search"
+                    placeholder="Search address"
+                    value={filters.search}
+                    onChange={(e) => setFilter('search', e.target.value)}
+                />
+            </div>
+
+            {requirementOptions.length > 0 && (
+                <div className="filter-section">
+                    <label className="filter-label" htmlFor="filter-requirement">Requirement</label>
+                    <select
+                        id="filter-requirement"
+                        className="filter-select"
+                        value={filters.requirementId}
+                        onChange={(e) => setFilter('requirementId', e.target.value)}
+                    >
+                        <option value="">All requirements</option>
+                        {requirementOptions.map(option => (
+                            <option key={option.id} value={option.id}>{option.name}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+
+            {boundaryOptions.length > 0 && (
+                <div className="filter-section">
+                    <label className="filter-label" htmlFor="filter-boundary">Boundary</label>
+                    <select
+                        id="filter-boundary"
+                        className="filter-select"
+                        value={filters.boundaryKey}
+                        onChange={(e) => setFilter('boundaryKey', e.target.value)}
+                    >
+                        <option value="">Anywhere</option>
+                        {boundaryOptions.map(option => (
+                            <option key={option.key} value={option.key}>{option.label}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+
+            {propertyTypeOptions.length > 0 && (
+                <div className="filter-section">
+                    <div className="filter-label">Property type</div>
+                    {propertyTypeOptions.map(propertyType => (
+                        <label key={propertyType} className="filter-checkbox">
+                            <input
+                                type="checkbox"
+                                checked={filters.propertyTypes.includes(propertyType)}
+                                onChange={() => togglePropertyType(propertyType)}
+                            />
+                            {propertyType}
+                        </label>
+                    ))}
+                </div>
+            )}
+
+            <RangeFilter
+                label="Drive distance"
+                bounds={distanceBounds}
+                value={filters.distanceRange}
+                unitLabel={distanceUnitLabel}
+                onChange={(range) => setFilter('distanceRange', range)}
+            />
+
+            <RangeFilter
+                label="Drive time"
+                bounds={driveTimeBounds}
+                value={filters.driveTimeRange}
+                unitLabel="min"
+                onChange={(range) => setFilter('driveTimeRange', range)}
+            />
+
+            <button
+                className="filter-reset"
+                onClick={() => onChange(EMPTY_FILTERS)}
+                disabled={!hasActiveFilters(filters)}
+            >
+                Reset filters
+            </button>
+        </div>
+    );
+}
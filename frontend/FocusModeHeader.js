@@ -0,0 +1,17 @@
+import { pluralize } from './format';
+
+export function FocusModeHeader({ requirement, listingCount, onExit }) {
+    if (!requirement) {
+        return null;
+    }
+    return (
+        <div className="map-control focus-mode-header">
+            <span className="focus-mode-title">
+                Site {requirement.name || 'Unnamed requirement'}: {pluralize(listingCount, 'listing')}
+            </span>
+            <button className="map-control-button" onClick={onExit}>
+                Exit focus
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,69 @@
+import { useState } from 'react';
+import { expandRecord } from '@airtable/blocks/interface/ui';
+import { pluralize } from './format';
+
+const STATUS_LABELS = {
+    ZERO_RESULTS: 'No match found',
+    OVER_QUERY_LIMIT: 'Rate limited',
+    REQUEST_DENIED: 'Request denied',
+    INVALID_REQUEST: 'Invalid address',
+    UNKNOWN_ERROR: 'Server error',
+    ERROR: 'Unexpected error',
+};
+
+export function GeocodeProgress({ progress }) {
+    if (!progress || progress.done >= progress.total) {
+        return null;
+    }
+
+    const percent = Math.round((progress.done / progress.total) * 100);
+
+    return (
+        <div className="geocode-progress">
+            <div className="geocode-progress-label">
+                Geocoding {progress.done}/{progress.total}
+            </div>
+            <div className="geocode-progress-track">
+                <div className="geocode-progress-bar" style={{ width: `${percent}%` }} />
+            </div>
+        </div>
+    );
+}
+
+export function GeocodeFailuresPanel({ failures }) {
+    const [isExpanded, setIsExpanded] = useState(false);
+
+    if (failures.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="geocode-failures">
+            <button className="geocode-failures-toggle" onClick={() => setIsExpanded(!isExpanded)}>
+                {pluralize(failures.length, 'address', 'addresses')} failed to geocode {isExpanded ? '▾' : '▸'}
+            </button>
+            {isExpanded && (
+                <ul className="geocode-failures-list">
+                    {failures.map(failure => (
+                        <li key={`${failure.kind}-${failure.record.id}`} className="geocode-failures-item">
+                            <div className="geocode-failures-name">
+                                {failure.kind}: {failure.record.name || 'Unnamed record'}
+                            </div>
+                            <div className="geocode-failures-address">{failure.address || 'No address'}</div>
+                            <div className="geocode-failures-meta">
+                                <span className="geocode-failures-status" title={failure.status}>
+                                    {STATUS_LABELS[failure.status] || failure.status}
+                                </span>
+                                {failure.table.hasPermissionToExpandRecords() && (
+                                    <button className="geocode-failures-open" onClick={() => expandRecord(failure.record)}>
+                                        Fix address
+                                    </button>
+                                )}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,48 @@
+import { HEATMAP_GRADIENTS, MIN_HEATMAP_RADIUS, MAX_HEATMAP_RADIUS } from './heatmap';
+import { pluralize } from './format';
+
+// Toggles the listing heatmap (which replaces the listing markers) and adjusts its
+// radius and gradient while it is on
+export function HeatmapControl({ settings, onChange, weightFieldName, pointCount }) {
+    const update = (changes) => onChange({ ...settings, ...changes });
+
+    return (
+        <div className="map-control heatmap-control">
+            <div className="map-control-row">
+                <span className="map-control-label">Heatmap</span>
+                <button
+                    className={`map-control-button${settings.isVisible ? ' map-control-button-active' : ''}`}
+                    onClick={() => update({ isVisible: !settings.isVisible })}
+                    aria-pressed={settings.isVisible}
+                >
+                    {settings.isVisible ? 'On' : 'Off'}
+                </button>
+            </div>
+            {settings.isVisible && (
+                <>
+                    <label className="heatmap-control-field">
+                        <span>Radius</span>
+                        <input
+                            type="range"
+                            min={MIN_HEATMAP_RADIUS}
+                            max={MAX_HEATMAP_RADIUS}
+                            value={settings.radius}
+                            onChange={(event) => update({ radius: Number(event.target.value) })}
+                        />
+                    </label>
+                    <label className="heatmap-control-field">
+                        <span>Colors</span>
+                        <select className="filter-select" value={settings.gradient} onChange={(event) => update({ gradient: event.target.value })}>
+                            {HEATMAP_GRADIENTS.map(gradient => (
+                                <option key={gradient.value} value={gradient.value}>{gradient.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <div className="map-control-status">
+                        {pluralize(pointCount, 'listing')}, weighted by {weightFieldName || 'count'}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
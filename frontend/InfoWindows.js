@@ -0,0 +1,196 @@
+import { expandRecord } from '@airtable/blocks/interface/ui';
+import { toSafeUrl } from './safeUrl';
+import { getDriveTimeMinutes } from './filters';
+import { FieldValueList } from './FieldValue';
+import { formatMinutes } from './format';
+
+// Feature flags for easy toggling
+const SHOW_IFRAME = false; // Set to true to enable the listing iframe preview
+const IFRAME_HEIGHT = '250px'; // Adjust iframe height here
+
+// Pill colors for common property types
+function getPropertyTypeClassName(propertyType) {
+    const type = propertyType.toLowerCase();
+    if (type.includes('parking')) {
+        return 'info-window-pill info-window-pill-parking';
+    }
+    if (type.includes('land')) {
+        return 'info-window-pill info-window-pill-land';
+    }
+    return 'info-window-pill info-window-pill-default';
+}
+
+function CloseButton({ onClose }) {
+    return (
+        <button className="info-window-close" onClick={onClose} aria-label="Close">
+            ×
+        </button>
+    );
+}
+
+function ManualLocationBadge({ isManualLocation }) {
+    if (!isManualLocation) {
+        return null;
+    }
+    return <div className="info-window-manual-badge" title="Position set by dragging the marker">Manually placed</div>;
+}
+
+function RepositionButton({ onReposition }) {
+    if (!onReposition) {
+        return null;
+    }
+    return (
+        <button className="info-window-open-record" onClick={onReposition}>
+            Reposition
+        </button>
+    );
+}
+
+function OpenRecordButton({ record, canExpand }) {
+    if (!canExpand) {
+        return null;
+    }
+    return (
+        <button className="info-window-open-record" onClick={() => expandRecord(record)}>
+            Open record
+        </button>
+    );
+}
+
+// Disabled while the shortlist is full, except to remove a listing from it
+function ShortlistButton({ isShortlisted, isShortlistFull, onToggleShortlist }) {
+    return (
+        <button
+            className={`info-window-open-record${isShortlisted ? ' info-window-shortlisted' : ''}`}
+            onClick={onToggleShortlist}
+            disabled={!isShortlisted && isShortlistFull}
+            title={!isShortlisted && isShortlistFull ? 'The shortlist is full' : undefined}
+        >
+            {isShortlisted ? '★ Shortlisted' : 'Add to shortlist'}
+        </button>
+    );
+}
+
+export function RequirementInfoWindow({ record, address, extraFields, isManualLocation, onReposition, canExpand, onClose }) {
+    return (
+        <div className="info-window info-window-requirement">
+            <CloseButton onClose={onClose} />
+            <div className="info-window-site-code">{record.name || ''}</div>
+            <div className="info-window-requirement-address">{address}</div>
+            <ManualLocationBadge isManualLocation={isManualLocation} />
+            <FieldValueList record={record} fields={extraFields} />
+            <div className="info-window-actions">
+                <RepositionButton onReposition={onReposition} />
+                <OpenRecordButton record={record} canExpand={canExpand} />
+            </div>
+        </div>
+    );
+}
+
+export function ListingInfoWindow({
+    record,
+    fields,
+    extraFields,
+    linkedRequirements,
+    boundaryNames,
+    outsideRadiusNote,
+    distanceUnitLabel,
+    isManualLocation,
+    isShortlisted,
+    isShortlistFull,
+    onToggleShortlist,
+    onReposition,
+    canExpand,
+    onClose,
+}) {
+    const { addressField, urlField, distanceField, driveTimeField, imageUrlField, propertyTypeField } = fields;
+
+    const address = addressField ? record.getCellValueAsString(addressField.id) : '';
+    const url = urlField ? toSafeUrl(record.getCellValueAsString(urlField.id)) : null;
+    const distance = distanceField ? record.getCellValue(distanceField.id) : null;
+    const driveTimeMinutes = getDriveTimeMinutes(record, driveTimeField);
+    const imageUrl = imageUrlField ? toSafeUrl(record.getCellValueAsString(imageUrlField.id)) : null;
+    const propertyType = propertyTypeField ? record.getCellValueAsString(propertyTypeField.id) : '';
+
+    return (
+        <div className={`info-window info-window-listing${imageUrl ? ' info-window-with-image' : ''}`}>
+            <CloseButton onClose={onClose} />
+
+            {imageUrl && (
+                <img
+                    className="info-window-image"
+                    src={imageUrl}
+                    alt="Listing"
+                    onError={(e) => { e.currentTarget.style.display = 'none'; }}
+                />
+            )}
+
+            <div className="info-window-body">
+                <div className="info-window-pills">
+                    {linkedRequirements.map(requirement => (
+                        <div
+                            key={requirement.id}
+                            className={`info-window-pill info-window-pill-requirement${requirement.isInside === false ? ' info-window-pill-outside' : ''}`}
+                            title={requirement.isInside === false ? 'Outside this requirement\'s radius' : undefined}
+                        >
+                            {requirement.name}
+                            {requirement.distanceLabel && <span className="info-window-pill-distance">{requirement.distanceLabel}</span>}
+                        </div>
+                    ))}
+                    {propertyType && <div className={getPropertyTypeClassName(propertyType)}>{propertyType}</div>}
+                </div>
+
+                <div className="info-window-address">{address}</div>
+                <ManualLocationBadge isManualLocation={isManualLocation} />
+
+                {outsideRadiusNote && <div className="info-window-outside-radius">{outsideRadiusNote}</div>}
+
+                {boundaryNames.length > 0 && (
+                    <div className="info-window-detail">
+                        <strong>Inside:</strong> {boundaryNames.join(', ')}
+                    </div>
+                )}
+
+                {distance ? (
+                    <div className="info-window-detail">
+                        <strong>Drive Distance:</strong> {distance} {distanceUnitLabel}
+                    </div>
+                ) : null}
+
+                {driveTimeMinutes ? (
+                    <div className="info-window-detail">
+                        <strong>Drive Time:</strong> {formatMinutes(driveTimeMinutes)}
+                    </div>
+                ) : null}
+
+                <FieldValueList record={record} fields={extraFields} />
+
+                <div className="info-window-actions">
+                    {url && (
+                        <a className="info-window-link" href={url} target="_blank" rel="noopener noreferrer">
+                            Visit listing
+                        </a>
+                    )}
+                    <ShortlistButton
+                        isShortlisted={isShortlisted}
+                        isShortlistFull={isShortlistFull}
+                        onToggleShortlist={onToggleShortlist}
+                    />
+                    <RepositionButton onReposition={onReposition} />
+                    <OpenRecordButton record={record} canExpand={canExpand} />
+                </div>
+
+                {url && SHOW_IFRAME && (
+                    <div className="info-window-iframe">
+                        <iframe
+                            src={url}
+                            style={{ height: IFRAME_HEIGHT }}
+                            sandbox="allow-scripts allow-same-origin"
+                            title="Listing Preview"
+                        />
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,136 @@
+import { useEffect, useRef } from 'react';
+import { formatMinutes } from './format';
+
+export const LISTING_SORT_OPTIONS = [
+    { value: 'distance', label: 'Distance' },
+    { value: 'driveTime', label: 'Drive time' },
+    { value: 'name', label: 'Name' },
+];
+
+// Missing values sort last regardless of direction
+function compareNullable(a, b) {
+    if (a === null && b === null) {
+        return 0;
+    }
+    if (a === null) {
+        return 1;
+    }
+    if (b === null) {
+        return -1;
+    }
+    return a - b;
+}
+
+export function sortListingRows(rows, sortBy) {
+    const sorted = [...rows];
+    if (sortBy === 'distance') {
+        sorted.sort((a, b) => compareNullable(a.distance, b.distance));
+    } else if (sortBy === 'driveTime') {
+        sorted.sort((a, b) => compareNullable(a.driveTimeMinutes, b.driveTimeMinutes));
+    } else {
+        sorted.sort((a, b) => a.name.localeCompare(b.name));
+    }
+    return sorted;
+}
+
+export function ListingListPanel({
+    isOpen,
+    onToggle,
+    rows,
+    totalCount,
+    sortBy,
+    onSortChange,
+    onlyInViewport,
+    onOnlyInViewportChange,
+    selectedListingId,
+    onRowHover,
+    onRowClick,
+}) {
+    const rowRefs = useRef(new Map());
+
+    // Keep the row for the selected marker in view
+    useEffect(() => {
+        const row = selectedListingId ? rowRefs.current.get(selectedListingId) : null;
+        if (row) {
+            row.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+    }, [selectedListingId]);
+
+    if (!isOpen) {
+        return (
+            <div className="listing-panel listing-panel-collapsed">
+                <button className="filter-panel-toggle" onClick={onToggle} title="Show listings">
+                    ☰
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="listing-panel">
+            <div className="listing-panel-header">
+                <div className="filter-panel-header">
+                    <span className="filter-panel-title">Listings</span>
+                    <button className="filter-panel-toggle" onClick={onToggle} title="Hide listings">
+                        ›
+                    </button>
+                </div>
+                <div className="listing-panel-controls">
+                    <select
+                        className="filter-select listing-panel-sort"
+                        value={sortBy}
+                        onChange={(e) => onSortChange(e.target.value)}
+                        aria-label="Sort listings"
+                    >
+                        {LISTING_SORT_OPTIONS.map(option => (
+                            <option key={option.value} value={option.value}>Sort by {option.label.toLowerCase()}</option>
+                        ))}
+                    </select>
+                    <label className="filter-checkbox">
+                        <input
+                            type="checkbox"
+                            checked={onlyInViewport}
+                            onChange={(e) => onOnlyInViewportChange(e.target.checked)}
+                        />
+                        Only show what&apos;s on the map
+                    </label>
+                </div>
+                <div className="filter-count">
+                    {rows.length} of {totalCount} listings
+                </div>
+            </div>
+
+            <ul className="listing-panel-list" onMouseLeave={() => onRowHover(null)}>
+                {rows.map(row => (
+                    <li
+                        key={row.id}
+                        ref={(element) => {
+                            if (element) {
+                                rowRefs.current.set(row.id, element);
+                            } else {
+                                rowRefs.current.delete(row.id);
+                            }
+                        }}
+                        className={`listing-row${onRowClick ? '' : ' listing-row-static'}${row.id === selectedListingId ? ' listing-row-selected' : ''}`}
+                        onMouseEnter={() => onRowHover(row.id)}
+                        onClick={onRowClick ? () => onRowClick(row.id) : undefined}
+                    >
+                        {row.imageUrl ? (
+                            <img className="listing-row-thumbnail" src={row.imageUrl} alt="" loading="lazy" />
+                        ) : (
+                            <div className="listing-row-thumbnail listing-row-thumbnail-empty" />
+                        )}
+                        <div className="listing-row-details">
+                            <div className="listing-row-address">{row.address || row.name}</div>
+                            <div className="listing-row-meta">
+                                {row.propertyType && <span className="listing-row-type">{row.propertyType}</span>}
+                                {row.driveTimeMinutes !== null && <span>{formatMinutes(row.driveTimeMinutes)}</span>}
+                                {row.distance !== null && <span>{row.distance.toFixed(1)} {row.distanceUnitLabel}</span>}
+                            </div>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
@@ -0,0 +1,47 @@
+// On-map legend for the marker color field. Category entries double as
+// toggles that hide or show the listings in that category.
+export function MarkerLegend({ title, scale, counts, hiddenCategories, onToggleCategory }) {
+    if (!scale.kind) {
+        return null;
+    }
+
+    if (scale.kind === 'gradient') {
+        return (
+            <div className="map-control marker-legend">
+                <div className="marker-legend-title">{title}</div>
+                <div
+                    className="marker-legend-gradient"
+                    style={{ background: `linear-gradient(to right, ${scale.startColor}, ${scale.endColor})` }}
+                />
+                <div className="marker-legend-gradient-labels">
+                    <span>{scale.min.toLocaleString()}</span>
+                    <span>{scale.max.toLocaleString()}</span>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="map-control marker-legend">
+            <div className="marker-legend-title">{title}</div>
+            {scale.categories
+                .filter(category => counts.get(category.key))
+                .map(category => {
+                    const isHidden = hiddenCategories.includes(category.key);
+                    return (
+                        <button
+                            key={category.key}
+                            className={`marker-legend-item${isHidden ? ' marker-legend-item-hidden' : ''}`}
+                            onClick={() => onToggleCategory(category.key)}
+                            aria-pressed={!isHidden}
+                            title={isHidden ? 'Show on map' : 'Hide from map'}
+                        >
+                            <span className={`marker-legend-swatch marker-shape-${category.shape}`} style={{ background: category.color }} />
+                            <span className="marker-legend-label">{category.label}</span>
+                            <span className="marker-legend-count">{counts.get(category.key)}</span>
+                        </button>
+                    );
+                })}
+        </div>
+    );
+}
@@ -0,0 +1,27 @@
+// Shown while a marker is being dragged to a new location, and afterwards when
+// saving that location failed
+export function RepositionHint({ repositioning, status, onCancel, onDismiss }) {
+    if (!repositioning && !status) {
+        return null;
+    }
+    if (!repositioning) {
+        return (
+            <div className="map-control reposition-hint">
+                <span>{status}</span>
+                <button className="map-control-button" onClick={onDismiss}>
+                    Dismiss
+                </button>
+            </div>
+        );
+    }
+    return (
+        <div className="map-control reposition-hint">
+            <span>
+                {status || `Drag the ${repositioning.kind} marker to its correct location`}
+            </span>
+            <button className="map-control-button" onClick={onCancel}>
+                Cancel
+            </button>
+        </div>
+    );
+}
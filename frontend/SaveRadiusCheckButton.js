@@ -0,0 +1,36 @@
+import { useState } from 'react';
+import { buildRadiusCheckUpdates } from './radius';
+import { updateRecordsInBatchesAsync } from './recordUpdates';
+import { pluralize } from './format';
+
+// Writes the "Within Radius" checkbox and straight-line distance back to the Listings table
+export function SaveRadiusCheckButton({ listingsTable, listingRecords, radiusChecks, fields, unit }) {
+    const [status, setStatus] = useState(null);
+
+    if (!fields.withinRadiusField && !fields.straightLineDistanceField) {
+        return null;
+    }
+
+    const updates = buildRadiusCheckUpdates(listingRecords, radiusChecks, fields, unit);
+    const canSave = updates.length > 0 && listingsTable.hasPermissionToUpdateRecords(updates);
+
+    const handleSave = async () => {
+        setStatus('Saving…');
+        try {
+            await updateRecordsInBatchesAsync(listingsTable, updates);
+            setStatus(`Saved ${pluralize(updates.length, 'listing')}`);
+        } catch (err) {
+            console.warn('Failed to save radius check:', err);
+            setStatus('Save failed');
+        }
+    };
+
+    return (
+        <div className="map-control">
+            <button className="map-control-button" onClick={handleSave} disabled={!canSave || status === 'Saving…'}>
+                Save radius check{updates.length > 0 ? ` (${updates.length})` : ''}
+            </button>
+            {status && <div className="map-control-status">{status}</div>}
+        </div>
+    );
+}
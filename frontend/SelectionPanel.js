@@ -0,0 +1,149 @@
+import { useState } from 'react';
+import { buildLinkRequirementUpdates, buildStatusUpdates } from './bulkActions';
+import { updateRecordsInBatchesAsync } from './recordUpdates';
+import { MAX_TOUR_STOPS } from './tourRoute';
+import { pluralize } from './format';
+
+// Bulk actions for the listings inside a drawn selection area. Every update is
+// summarized for confirmation before it is written.
+export function SelectionPanel({ listingsTable, selectedRecords, requirementOptions, fields, onPlanTour, onClear }) {
+    const [requirementId, setRequirementId] = useState('');
+    const [statusName, setStatusName] = useState('');
+    const [pending, setPending] = useState(null);
+    const [status, setStatus] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const { requirementsField, statusField } = fields;
+    const statusChoices = statusField && statusField.options ? statusField.options.choices : [];
+
+    const propose = (summary, updates) => {
+        setStatus(null);
+        setPending({ summary, updates });
+    };
+
+    const proposeLink = () => {
+        const requirement = requirementOptions.find(option => option.id === requirementId);
+        const updates = buildLinkRequirementUpdates(selectedRecords, requirementsField, requirementId);
+        const alreadyLinked = selectedRecords.length - updates.length;
+        propose(
+            `Link ${pluralize(updates.length, 'listing')} to ${requirement ? requirement.name : 'the requirement'}` +
+                (alreadyLinked > 0 ? ` (${alreadyLinked} already linked)` : '') + '?',
+            updates
+        );
+    };
+
+    const proposeStatus = () => {
+        const updates = buildStatusUpdates(selectedRecords, statusField, statusName);
+        const unchanged = selectedRecords.length - updates.length;
+        propose(
+            `Set ${statusField.name} to "${statusName}" on ${pluralize(updates.length, 'listing')}` +
+                (unchanged > 0 ? ` (${unchanged} unchanged)` : '') + '?',
+            updates
+        );
+    };
+
+    const handleConfirm = async () => {
+        const { updates } = pending;
+        setPending(null);
+        if (!listingsTable.hasPermissionToUpdateRecords(updates)) {
+            setStatus('You don\'t have permission to update these listings');
+            return;
+        }
+        setIsSaving(true);
+        setStatus('Saving…');
+        try {
+            await updateRecordsInBatchesAsync(listingsTable, updates);
+            setStatus(`Updated ${pluralize(updates.length, 'listing')}`);
+        } catch (err) {
+            console.warn('Failed to update selected listings:', err);
+            setStatus('Update failed');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleCopyIds = async () => {
+        try {
+            await navigator.clipboard.writeText(selectedRecords.map(record => record.id).join('\n'));
+            setStatus(`Copied ${pluralize(selectedRecords.length, 'record ID')}`);
+        } catch (err) {
+            console.warn('Failed to copy record IDs:', err);
+            setStatus('Could not copy to the clipboard');
+        }
+    };
+
+    return (
+        <div className="map-control selection-panel">
+            <div className="selection-panel-header">
+                <span className="selection-panel-title">{pluralize(selectedRecords.length, 'listing')} selected</span>
+                <button className="map-control-button" onClick={onClear}>Clear</button>
+            </div>
+
+            {pending ? (
+                <div className="selection-panel-confirm">
+                    <div>{pending.summary}</div>
+                    <div className="selection-panel-row">
+                        <button className="map-control-button map-control-button-active" onClick={handleConfirm} disabled={pending.updates.length === 0}>
+                            Confirm
+                        </button>
+                        <button className="map-control-button" onClick={() => setPending(null)}>Cancel</button>
+                    </div>
+                </div>
+            ) : (
+                <>
+                    {requirementsField && (
+                        <div className="selection-panel-row">
+                            <select
+                                className="filter-select"
+                                value={requirementId}
+                                onChange={(e) => setRequirementId(e.target.value)}
+                                aria-label="Requirement to link"
+                            >
+                                <option value="">Choose requirement…</option>
+                                {requirementOptions.map(option => (
+                                    <option key={option.id} value={option.id}>{option.name}</option>
+                                ))}
+                            </select>
+                            <button className="map-control-button" onClick={proposeLink} disabled={!requirementId || isSaving || selectedRecords.length === 0}>
+                                Link
+                            </button>
+                        </div>
+                    )}
+                    {statusField && (
+                        <div className="selection-panel-row">
+                            <select
+                                className="filter-select"
+                                value={statusName}
+                                onChange={(e) => setStatusName(e.target.value)}
+                                aria-label={statusField.name}
+                            >
+                                <option value="">Choose {statusField.name.toLowerCase()}…</option>
+                                {statusChoices.map(choice => (
+                                    <option key={choice.id} value={choice.name}>{choice.name}</option>
+                                ))}
+                            </select>
+                            <button className="map-control-button" onClick={proposeStatus} disabled={!statusName || isSaving || selectedRecords.length === 0}>
+                                Set
+                            </button>
+                        </div>
+                    )}
+                    <div className="selection-panel-row">
+                        <button className="map-control-button" onClick={handleCopyIds} disabled={selectedRecords.length === 0}>
+                            Copy record IDs
+                        </button>
+                        <button
+                            className="map-control-button"
+                            onClick={() => onPlanTour(selectedRecords)}
+                            disabled={selectedRecords.length === 0 || selectedRecords.length > MAX_TOUR_STOPS}
+                            title={selectedRecords.length > MAX_TOUR_STOPS ? `Tours can have at most ${MAX_TOUR_STOPS} stops` : undefined}
+                        >
+                            Plan tour
+                        </button>
+                    </div>
+                </>
+            )}
+
+            {status && <div className="map-control-status">{status}</div>}
+        </div>
+    );
+}
@@ -0,0 +1,26 @@
+const TOOL_HINTS = {
+    rectangle: 'Click one corner, then the opposite corner',
+    polygon: 'Click to add points, double-click to finish',
+};
+
+// Starts drawing a rectangle or polygon to select the listings inside it
+export function SelectionToolbar({ activeTool, onToolChange }) {
+    return (
+        <div className="map-control">
+            <div className="map-control-row">
+                <span className="map-control-label">Select area</span>
+                {['rectangle', 'polygon'].map(tool => (
+                    <button
+                        key={tool}
+                        className={`map-control-button${activeTool === tool ? ' map-control-button-active' : ''}`}
+                        onClick={() => onToolChange(activeTool === tool ? null : tool)}
+                        aria-pressed={activeTool === tool}
+                    >
+                        {tool === 'rectangle' ? 'Rectangle' : 'Polygon'}
+                    </button>
+                ))}
+            </div>
+            {activeTool && <div className="map-control-status">{TOOL_HINTS[activeTool]}</div>}
+        </div>
+    );
+}
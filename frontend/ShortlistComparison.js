@@ -0,0 +1,127 @@
+import { toSafeUrl } from './safeUrl';
+import { getDriveTimeMinutes, getNumericValue } from './filters';
+import { findBestIndexes } from './shortlist';
+import { FieldValue } from './FieldValue';
+import { formatMinutes } from './format';
+
+// Comparison rows for the configured fields. Rows with `getValue` are numeric and
+// highlight their best value; the rest render the cell as it is.
+function buildComparisonRows(fields, extraFields, higherIsBetterFields, distanceUnitLabel) {
+    const { addressField, imageUrlField, propertyTypeField, distanceField, driveTimeField, requirementsField } = fields;
+    const rows = [];
+
+    if (imageUrlField) {
+        rows.push({
+            key: 'image',
+            label: 'Image',
+            render: (record) => {
+                const imageUrl = toSafeUrl(record.getCellValueAsString(imageUrlField.id));
+                return imageUrl ? (
+                    <img
+                        className="shortlist-comparison-image"
+                        src={imageUrl}
+                        alt=""
+                        onError={(e) => { e.currentTarget.style.display = 'none'; }}
+                    />
+                ) : null;
+            },
+        });
+    }
+    if (addressField) {
+        rows.push({ key: 'address', label: 'Address', render: (record) => record.getCellValueAsString(addressField.id) });
+    }
+    if (propertyTypeField) {
+        rows.push({ key: 'propertyType', label: 'Property type', render: (record) => record.getCellValueAsString(propertyTypeField.id) });
+    }
+    if (distanceField) {
+        rows.push({
+            key: 'distance',
+            label: 'Drive distance',
+            getValue: (record) => getNumericValue(record, distanceField),
+            format: (value) => `${value} ${distanceUnitLabel}`,
+        });
+    }
+    if (driveTimeField) {
+        rows.push({
+            key: 'driveTime',
+            label: 'Drive time',
+            getValue: (record) => getDriveTimeMinutes(record, driveTimeField),
+            format: formatMinutes,
+        });
+    }
+    if (requirementsField) {
+        rows.push({
+            key: 'requirements',
+            label: 'Requirement',
+            render: (record) => (record.getCellValue(requirementsField.id) || [])
+                .map(linked => linked.name || 'Unnamed requirement')
+                .join(', '),
+        });
+    }
+    extraFields.forEach(field => {
+        rows.push({
+            key: field.id,
+            label: field.name,
+            getValue: (record) => getNumericValue(record, field),
+            higherIsBetter: higherIsBetterFields.includes(field),
+            render: (record) => <FieldValue record={record} field={field} />,
+        });
+    });
+    return rows;
+}
+
+// Side-by-side table of the shortlisted listings, one column per listing
+export function ShortlistComparison({ records, fields, extraFields, higherIsBetterFields, distanceUnitLabel, onFocus, onRemove, onClose }) {
+    const rows = buildComparisonRows(fields, extraFields, higherIsBetterFields, distanceUnitLabel);
+
+    return (
+        <div className="map-control shortlist-comparison">
+            <div className="selection-panel-header">
+                <span className="selection-panel-title">Compare shortlist</span>
+                <button className="boundary-panel-remove" onClick={onClose} aria-label="Close comparison">
+                    ×
+                </button>
+            </div>
+            <div className="shortlist-comparison-scroll">
+                <table className="shortlist-comparison-table">
+                    <thead>
+                        <tr>
+                            <th />
+                            {records.map(record => (
+                                <th key={record.id}>
+                                    <button className="shortlist-tray-name" onClick={() => onFocus(record.id)} title="Show on map">
+                                        {record.name || 'Unnamed listing'}
+                                    </button>
+                                    <button className="boundary-panel-remove" onClick={() => onRemove(record.id)} aria-label={`Remove ${record.name} from the shortlist`}>
+                                        ×
+                                    </button>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(row => {
+                            const values = row.getValue ? records.map(row.getValue) : [];
+                            const bestIndexes = row.getValue ? findBestIndexes(values, row.higherIsBetter) : [];
+                            return (
+                                <tr key={row.key}>
+                                    <th scope="row">{row.label}</th>
+                                    {records.map((record, index) => (
+                                        <td
+                                            key={record.id}
+                                            className={bestIndexes.includes(index) ? 'shortlist-comparison-best' : undefined}
+                                        >
+                                            {row.format
+                                                ? (values[index] !== null ? row.format(values[index]) : null)
+                                                : row.render(record)}
+                                        </td>
+                                    ))}
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
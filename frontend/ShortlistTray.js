@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import { buildShortlistMarkUpdates, canMarkWithChoice } from './shortlist';
+import { updateRecordsInBatchesAsync } from './recordUpdates';
+import { MAX_TOUR_STOPS } from './tourRoute';
+import { pluralize } from './format';
+
+// The current user's shortlisted listings, with the comparison toggle and an action
+// that marks them in the configured checkbox or single select field
+export function ShortlistTray({ listingsTable, records, markField, markChoiceName, isComparing, onToggleCompare, onPlanTour, onFocus, onRemove, onClear }) {
+    const [status, setStatus] = useState(null);
+
+    if (records.length === 0) {
+        return null;
+    }
+
+    const handleMark = async () => {
+        if (!canMarkWithChoice(markField, markChoiceName)) {
+            setStatus(`${markField.name} has no "${markChoiceName}" option`);
+            return;
+        }
+        const updates = buildShortlistMarkUpdates(records, markField, markChoiceName);
+        if (updates.length === 0) {
+            setStatus('Already marked');
+            return;
+        }
+        if (!listingsTable.hasPermissionToUpdateRecords(updates)) {
+            setStatus('You don\'t have permission to update these listings');
+            return;
+        }
+        setStatus('Saving…');
+        try {
+            await updateRecordsInBatchesAsync(listingsTable, updates);
+            setStatus(`Marked ${pluralize(updates.length, 'listing')}`);
+        } catch (err) {
+            console.warn('Failed to mark shortlisted listings:', err);
+            setStatus('Update failed');
+        }
+    };
+
+    return (
+        <div className="map-control shortlist-tray">
+            <div className="shortlist-tray-header">
+                <span className="selection-panel-title">Shortlist ({records.length})</span>
+                <button
+                    className={`map-control-button${isComparing ? ' map-control-button-active' : ''}`}
+                    onClick={onToggleCompare}
+                    disabled={records.length < 2 && !isComparing}
+                >
+                    Compare
+                </button>
+                <button
+                    className="map-control-button"
+                    onClick={onPlanTour}
+                    disabled={records.length > MAX_TOUR_STOPS}
+                    title={records.length > MAX_TOUR_STOPS ? `Tours can have at most ${MAX_TOUR_STOPS} stops` : undefined}
+                >
+                    Plan tour
+                </button>
+                {markField && (
+                    <button className="map-control-button" onClick={handleMark} disabled={status === 'Saving…'}>
+                        Mark in {markField.name}
+                    </button>
+                )}
+                <button className="map-control-button" onClick={onClear}>Clear</button>
+            </div>
+            <div className="shortlist-tray-items">
+                {records.map(record => (
+                    <span key={record.id} className="shortlist-tray-item">
+                        <button className="shortlist-tray-name" onClick={() => onFocus(record.id)} title="Show on map">
+                            {record.name || 'Unnamed listing'}
+                        </button>
+                        <button className="boundary-panel-remove" onClick={() => onRemove(record.id)} aria-label={`Remove ${record.name} from the shortlist`}>
+                            ×
+                        </button>
+                    </span>
+                ))}
+            </div>
+            {status && <div className="map-control-status">{status}</div>}
+        </div>
+    );
+}
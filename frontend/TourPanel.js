@@ -0,0 +1,74 @@
+import { buildDirectionsUrl, printTourSheet } from './tourRoute';
+import { formatDistance, formatDuration } from './format';
+
+// Stop-by-stop itinerary for a site tour, with its start requirement, leg times and
+// exports to Google Maps directions and a printable sheet
+export function TourPanel({ tour, startOptions, unit, onStartChange, onRemoveStop, onFocus, onClose }) {
+    const { plan, startId, status } = tour;
+
+    return (
+        <div className="map-control selection-panel tour-panel">
+            <div className="selection-panel-header">
+                <span className="selection-panel-title">Site tour</span>
+                <button className="map-control-button" onClick={onClose}>Close</button>
+            </div>
+
+            <label className="heatmap-control-field">
+                <span>Start</span>
+                <select className="filter-select" value={startId || ''} onChange={(e) => onStartChange(e.target.value)}>
+                    {!startId && <option value="">Choose requirement…</option>}
+                    {startOptions.map(option => (
+                        <option key={option.id} value={option.id}>{option.name}</option>
+                    ))}
+                </select>
+            </label>
+
+            {plan && (
+                <>
+                    <ol className="tour-panel-stops">
+                        <li className="tour-panel-stop tour-panel-start">
+                            <span className="tour-panel-number">S</span>
+                            <div className="tour-panel-stop-body">
+                                <div className="tour-panel-stop-name">{plan.start.name}</div>
+                                <div className="tour-panel-stop-meta">{plan.start.address}</div>
+                            </div>
+                        </li>
+                        {plan.legs.map((leg, index) => (
+                            <li key={leg.stop.id} className="tour-panel-stop">
+                                <span className="tour-panel-number">{index + 1}</span>
+                                <div className="tour-panel-stop-body">
+                                    <button className="shortlist-tray-name" onClick={() => onFocus(leg.stop.id)} title="Show on map">
+                                        {leg.stop.name}
+                                    </button>
+                                    <div className="tour-panel-stop-meta">{leg.stop.address}</div>
+                                    <div className="tour-panel-stop-meta">
+                                        {leg.durationSeconds !== null ? `${formatDuration(leg.durationSeconds)} · ` : ''}
+                                        {leg.isEstimate ? '≈ ' : ''}{formatDistance(leg.distanceMeters, unit)}
+                                        {leg.isEstimate ? ' straight line' : ''}
+                                    </div>
+                                </div>
+                                <button className="boundary-panel-remove" onClick={() => onRemoveStop(leg.stop.id)} aria-label={`Remove ${leg.stop.name} from the tour`}>
+                                    ×
+                                </button>
+                            </li>
+                        ))}
+                    </ol>
+                    <div className="tour-panel-total">
+                        Total: {plan.totalSeconds !== null ? `${formatDuration(plan.totalSeconds)} driving, ` : ''}
+                        {formatDistance(plan.totalMeters, unit)}
+                    </div>
+                    <div className="selection-panel-row">
+                        <a className="map-control-button tour-panel-link" href={buildDirectionsUrl(plan)} target="_blank" rel="noopener noreferrer">
+                            Open in Google Maps
+                        </a>
+                        <button className="map-control-button" onClick={() => printTourSheet(plan, unit)}>
+                            Print
+                        </button>
+                    </div>
+                </>
+            )}
+
+            {status && <div className="map-control-status">{status}</div>}
+        </div>
+    );
+}
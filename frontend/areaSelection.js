@@ -0,0 +1,113 @@
+import { isPointInPolygon } from './geo';
+
+const SHAPE_STYLE = {
+    strokeColor: '#1976d2',
+    strokeOpacity: 0.9,
+    strokeWeight: 2,
+    fillColor: '#1976d2',
+    fillOpacity: 0.1,
+    clickable: false,
+};
+
+let nextAreaId = 1;
+
+// Rectangle: click one corner, move, click the opposite corner
+function drawRectangle(provider, map, onComplete) {
+    let start = null;
+    let rectangle = null;
+
+    const boundsFrom = (corner) => ({
+        south: Math.min(start.lat, corner.lat),
+        west: Math.min(start.lng, corner.lng),
+        north: Math.max(start.lat, corner.lat),
+        east: Math.max(start.lng, corner.lng),
+    });
+
+    const listeners = [
+        map.addListener('click', (corner) => {
+            if (!start) {
+                start = corner;
+                rectangle = provider.createRectangle({ ...SHAPE_STYLE, map, bounds: boundsFrom(corner) });
+                return;
+            }
+            const { south, west, north, east } = boundsFrom(corner);
+            rectangle.setBounds({ south, west, north, east });
+            onComplete({
+                shape: rectangle,
+                contains: (position) => position.lat >= south && position.lat <= north && position.lng >= west && position.lng <= east,
+            });
+        }),
+        map.addListener('mousemove', (position) => {
+            if (start) {
+                rectangle.setBounds(boundsFrom(position));
+            }
+        }),
+    ];
+
+    return {
+        listeners,
+        discard: () => {
+            if (rectangle) {
+                rectangle.setMap(null);
+            }
+        },
+    };
+}
+
+const isSamePosition = (a, b) => a.lat === b.lat && a.lng === b.lng;
+
+// Polygon: click to add points, double-click to close the shape
+function drawPolygon(provider, map, onComplete) {
+    const vertices = [];
+    const outline = provider.createPolyline({ ...SHAPE_STYLE, map, path: [] });
+
+    const listeners = [
+        map.addListener('click', (position) => {
+            vertices.push(position);
+            outline.setPath(vertices);
+        }),
+        map.addListener('dblclick', () => {
+            // The double-click's own two clicks already added its point, once each
+            while (vertices.length > 1 && isSamePosition(vertices[vertices.length - 1], vertices[vertices.length - 2])) {
+                vertices.pop();
+            }
+            outline.setPath(vertices);
+            if (vertices.length < 3) {
+                return;
+            }
+            outline.setMap(null);
+            const polygon = provider.createPolygon({ ...SHAPE_STYLE, map, paths: vertices });
+            const path = [...vertices];
+            onComplete({ shape: polygon, contains: (position) => isPointInPolygon(position, path) });
+        }),
+    ];
+
+    return { listeners, discard: () => outline.setMap(null) };
+}
+
+// Starts drawing a selection area on a map provider's map. `onComplete({id, shape, contains})`
+// receives the finished shape (left on the map) and a point test; `cancel()` stops
+// drawing and removes any unfinished shape.
+// Drawing listens to map clicks, so it relies on the shapes beneath (requirement radius
+// circles, boundaries) being created without `clickable`, which providers default to.
+export function startAreaSelection(provider, map, tool, onComplete) {
+    let isComplete = false;
+    map.setCursor('crosshair');
+    map.setDoubleClickZoom(false);
+
+    const drawing = (tool === 'polygon' ? drawPolygon : drawRectangle)(provider, map, (area) => {
+        isComplete = true;
+        onComplete({ ...area, id: nextAreaId++ });
+    });
+
+    return {
+        cancel() {
+            drawing.listeners.forEach(listener => listener.remove());
+            if (!isComplete) {
+                drawing.discard();
+            }
+            map.setCursor(null);
+            map.setDoubleClickZoom(true);
+        },
+    };
+}
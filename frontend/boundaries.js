@@ -0,0 +1,155 @@
+import { isPointInPolygon } from './geo';
+
+// Boundary layers live in the extension's global config, which is capped at 150kB
+export const BOUNDARY_LAYERS_CONFIG_KEY = 'boundaryLayers';
+export const MAX_BOUNDARY_CONFIG_BYTES = 140 * 1024;
+
+const LAYER_COLORS = ['#8e24aa', '#00897b', '#f4511e', '#3949ab', '#c0ca33', '#6d4c41'];
+
+// Six decimals (~10cm) is plenty for boundaries and keeps the stored config small
+const roundCoordinate = (value) => Math.round(value * 1e6) / 1e6;
+const toRing = (coordinates) => coordinates.map(([lng, lat]) => [roundCoordinate(lng), roundCoordinate(lat)]);
+
+const featureName = (properties, fallback) => {
+    const props = properties || {};
+    return String(props.name || props.NAME || props.Name || props.title || fallback);
+};
+
+function parseGeoJson(text) {
+    const data = JSON.parse(text);
+    const features = data.type === 'FeatureCollection'
+        ? data.features
+        : [data.type === 'Feature' ? data : { type: 'Feature', properties: {}, geometry: data }];
+
+    const polygons = [];
+    features.forEach((feature, index) => {
+        const geometry = feature && feature.geometry;
+        if (!geometry) {
+            return;
+        }
+        const name = featureName(feature.properties, `Area ${index + 1}`);
+        if (geometry.type === 'Polygon') {
+            polygons.push({ name, rings: geometry.coordinates.map(toRing) });
+        } else if (geometry.type === 'MultiPolygon') {
+            geometry.coordinates.forEach(polygon => polygons.push({ name, rings: polygon.map(toRing) }));
+        }
+    });
+    return polygons;
+}
+
+function parseKmlRing(element) {
+    const coordinates = element ? element.getElementsByTagName('coordinates')[0] : null;
+    if (!coordinates) {
+        return null;
+    }
+    return toRing(coordinates.textContent.trim().split(/\s+/)
+        .map(tuple => tuple.split(',').map(Number))
+        .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat)));
+}
+
+function parseKml(text) {
+    const documentNode = new DOMParser().parseFromString(text, 'application/xml');
+    if (documentNode.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid KML');
+    }
+
+    const polygons = [];
+    [...documentNode.getElementsByTagName('Placemark')].forEach((placemark, index) => {
+        const nameNode = placemark.getElementsByTagName('name')[0];
+        const name = nameNode ? nameNode.textContent.trim() : `Area ${index + 1}`;
+        [...placemark.getElementsByTagName('Polygon')].forEach(polygon => {
+            const outer = parseKmlRing(polygon.getElementsByTagName('outerBoundaryIs')[0]);
+            if (!outer || outer.length < 3) {
+                return;
+            }
+            const holes = [...polygon.getElementsByTagName('innerBoundaryIs')]
+                .map(parseKmlRing)
+                .filter(ring => ring && ring.length >= 3);
+            polygons.push({ name, rings: [outer, ...holes] });
+        });
+    });
+    return polygons;
+}
+
+// Layers imported together can share a timestamp, so add a counter until the id is new
+function createLayerId(existingLayers) {
+    const base = `layer-${Date.now().toString(36)}`;
+    let id = base;
+    for (let suffix = 1; existingLayers.some(layer => layer.id === id); suffix++) {
+        id = `${base}-${suffix}`;
+    }
+    return id;
+}
+
+// Parse an uploaded .geojson/.json or .kml file into a layer. Only polygon
+// geometries are kept; each ring is a list of [lng, lat] pairs, outer ring first.
+export function parseBoundaryFile(fileName, text, existingLayers) {
+    const isKml = /\.kml$/i.test(fileName) || text.trimStart().startsWith('<');
+    const polygons = isKml ? parseKml(text) : parseGeoJson(text);
+    if (polygons.length === 0) {
+        throw new Error('No polygons found');
+    }
+    return {
+        id: createLayerId(existingLayers),
+        name: fileName.replace(/\.(geo)?json$|\.kml$/i, ''),
+        color: LAYER_COLORS[existingLayers.length % LAYER_COLORS.length],
+        polygons,
+    };
+}
+
+const ringToLiteral = (ring) => ring.map(([lng, lat]) => ({ lat, lng }));
+
+export function getPolygonPaths(polygon) {
+    return polygon.rings.map(ringToLiteral);
+}
+
+// A polygon contains a point inside its outer ring and outside all of its holes
+function polygonContains(polygon, position) {
+    const [outer, ...holes] = getPolygonPaths(polygon);
+    return isPointInPolygon(position, outer) && !holes.some(hole => isPointInPolygon(position, hole));
+}
+
+export const boundaryKey = (layer, polygonIndex) => `${layer.id}:${polygonIndex}`;
+
+// Every boundary polygon as {key, layer, polygon, label}, for options and lookups
+export function listBoundaries(layers) {
+    const boundaries = [];
+    layers.forEach(layer => {
+        layer.polygons.forEach((polygon, index) => {
+            boundaries.push({ key: boundaryKey(layer, index), layer, polygon, label: `${layer.name}: ${polygon.name}` });
+        });
+    });
+    return boundaries;
+}
+
+// The boundaries containing a position, de-duplicated by label for multi-part areas
+export function findContainingBoundaries(position, boundaries) {
+    const seen = new Set();
+    return boundaries.filter(boundary => {
+        if (seen.has(boundary.label) || !polygonContains(boundary.polygon, position)) {
+            return false;
+        }
+        seen.add(boundary.label);
+        return true;
+    });
+}
+
+export function boundaryContains(boundaries, key, position) {
+    const target = boundaries.find(boundary => boundary.key === key);
+    if (!target) {
+        return true;
+    }
+    // Multi-part areas share a label, so match any of their parts
+    return boundaries.some(boundary => boundary.label === target.label && polygonContains(boundary.polygon, position));
+}
+
+// Rough label position: the center of the outer ring's bounding box
+export function polygonLabelPosition(polygon) {
+    const outer = polygon.rings[0];
+    const lngs = outer.map(([lng]) => lng);
+    const lats = outer.map(([, lat]) => lat);
+    return {
+        lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+        lng: (Math.min(...lngs) + Math.max(...lngs)) / 2,
+    };
+}
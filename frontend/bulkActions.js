@@ -0,0 +1,24 @@
+import { getLinkedRequirementIds } from './filters';
+
+// Adds the requirement to each listing's links, keeping the existing ones.
+// Listings already linked to it are left out.
+export function buildLinkRequirementUpdates(records, requirementsField, requirementId) {
+    return records
+        .filter(record => !getLinkedRequirementIds(record, requirementsField).includes(requirementId))
+        .map(record => ({
+            id: record.id,
+            fields: {
+                [requirementsField.id]: [
+                    ...getLinkedRequirementIds(record, requirementsField).map(id => ({ id })),
+                    { id: requirementId },
+                ],
+            },
+        }));
+}
+
+// Sets a single select to the named choice, skipping listings that already have it
+export function buildStatusUpdates(records, statusField, choiceName) {
+    return records
+        .filter(record => record.getCellValueAsString(statusField.id) !== choiceName)
+        .map(record => ({ id: record.id, fields: { [statusField.id]: { name: choiceName } } }));
+}
@@ -0,0 +1,55 @@
+// Cluster badges and hover breakdowns shared by the map providers
+
+export const CLUSTER_COLOR = '#f74022';
+
+// Count badge drawn for a cluster; larger clusters get larger badges
+export function clusterIcon(count) {
+    return {
+        scale: 12 + Math.min(Math.log10(count) * 6, 14),
+        fillColor: CLUSTER_COLOR,
+        fillOpacity: 0.85,
+        strokeColor: '#ffffff',
+        strokeWeight: 2,
+    };
+}
+
+export function clusterLabel(count) {
+    return {
+        text: String(count),
+        color: '#ffffff',
+        fontSize: '11px',
+        fontWeight: '600',
+    };
+}
+
+// Breakdown of a cluster's listings by property type, busiest type first
+export function buildClusterBreakdown(markers, getMarkerCategory) {
+    const counts = new Map();
+    markers.forEach(marker => {
+        const category = getMarkerCategory(marker) || 'Unspecified';
+        counts.set(category, (counts.get(category) || 0) + 1);
+    });
+
+    const container = document.createElement('div');
+    container.className = 'cluster-breakdown';
+
+    const title = document.createElement('div');
+    title.className = 'cluster-breakdown-title';
+    title.textContent = `${markers.length} listings`;
+    container.appendChild(title);
+
+    [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([category, count]) => {
+            const row = document.createElement('div');
+            row.className = 'cluster-breakdown-row';
+            const name = document.createElement('span');
+            name.textContent = category;
+            const value = document.createElement('span');
+            value.textContent = String(count);
+            row.append(name, value);
+            container.appendChild(row);
+        });
+
+    return container;
+}
@@ -0,0 +1,143 @@
+import { FieldType } from '@airtable/blocks/interface/models';
+import { fromMeters, distanceMeters } from './geo';
+import { formatLatLng } from './format';
+
+// The Distance Matrix API accepts at most 25 destinations per request
+const DESTINATIONS_PER_REQUEST = 25;
+
+// Stand-in service for local testing. It is called as
+// GET <url>?origins=lat,lng&destinations=lat,lng|lat,lng and must answer with the
+// same JSON shape as the Distance Matrix web service ({rows: [{elements: [...]}]}).
+export function createHttpDistanceMatrix(serviceUrl) {
+    return async (origin, destinations) => {
+        const url = new URL(serviceUrl);
+        url.searchParams.set('origins', formatLatLng(origin));
+        url.searchParams.set('destinations', destinations.map(formatLatLng).join('|'));
+
+        const response = await fetch(url.toString());
+        if (!response.ok) {
+            throw new Error(`Drive metrics service responded with ${response.status}`);
+        }
+        const body = await response.json();
+        return body.rows[0].elements.map(element => ({
+            status: element.status,
+            distanceMeters: element.distance ? element.distance.value : null,
+            durationSeconds: element.duration ? element.duration.value : null,
+        }));
+    };
+}
+
+// Identifies the requirement/listing positions a metric was calculated from
+function metricsSignature(requirementId, origin, destination) {
+    return `${requirementId}:${formatLatLng(origin)}>${formatLatLng(destination)}`;
+}
+
+function isEmptyCell(record, field) {
+    const value = record.getCellValue(field.id);
+    return value === null || value === undefined || value === '';
+}
+
+// Listings whose drive metrics are empty, or stale when a source field records
+// which requirement/positions the stored values came from. Without a source field
+// there is no telling which requirement a filled-in value came from, so only empty
+// values are found.
+export function findListingsNeedingMetrics(listingRecords, locationsById, requirementAreas, fields) {
+    const { distanceField, driveTimeField, sourceField, requirementsField } = fields;
+    const jobs = [];
+
+    (listingRecords || []).forEach(record => {
+        const destination = locationsById[record.id];
+        const linkedRequirements = (record.getCellValue(requirementsField.id) || [])
+            .filter(requirement => requirementAreas.has(requirement.id));
+        if (!destination || linkedRequirements.length === 0) {
+            return;
+        }
+
+        // The metric fields hold one value, so listings linked to several
+        // requirements are measured from the nearest one
+        const linked = linkedRequirements.reduce((nearest, requirement) => (
+            distanceMeters(destination, requirementAreas.get(requirement.id).position) <
+                distanceMeters(destination, requirementAreas.get(nearest.id).position)
+                ? requirement
+                : nearest
+        ));
+
+        const origin = requirementAreas.get(linked.id).position;
+        const signature = metricsSignature(linked.id, origin, destination);
+        const isEmpty = (distanceField && isEmptyCell(record, distanceField)) ||
+            (driveTimeField && isEmptyCell(record, driveTimeField));
+        const isStale = sourceField && record.getCellValueAsString(sourceField.id) !== signature;
+
+        if (isEmpty || isStale) {
+            jobs.push({ record, requirementId: linked.id, origin, destination, signature, isNearestOfSeveral: linkedRequirements.length > 1 });
+        }
+    });
+
+    return jobs;
+}
+
+// Convert a matrix element into cell values that match each field's type
+function buildMetricsFields(element, job, fields, unit) {
+    const { distanceField, driveTimeField, sourceField } = fields;
+    const cellValues = {};
+
+    if (distanceField) {
+        cellValues[distanceField.id] = Math.round(fromMeters(element.distanceMeters, unit) * 10) / 10;
+    }
+    if (driveTimeField) {
+        cellValues[driveTimeField.id] = driveTimeField.type === FieldType.DURATION
+            ? element.durationSeconds
+            : Math.round(element.durationSeconds / 60);
+    }
+    if (sourceField) {
+        cellValues[sourceField.id] = job.signature;
+    }
+
+    return cellValues;
+}
+
+// Query the matrix one requirement at a time, in chunks of destinations, writing each
+// chunk's updates as soon as it completes so a failed request keeps the earlier results.
+// Returns how many listings were updated, the listings that had no driving route and
+// the error that stopped the run, if any.
+export async function calculateDriveMetricsAsync(jobs, getDistanceMatrix, fields, unit, { writeUpdatesAsync, onProgress }) {
+    const failures = [];
+    let updatedCount = 0;
+    let processed = 0;
+
+    const jobsByRequirement = new Map();
+    jobs.forEach(job => {
+        if (!jobsByRequirement.has(job.requirementId)) {
+            jobsByRequirement.set(job.requirementId, []);
+        }
+        jobsByRequirement.get(job.requirementId).push(job);
+    });
+
+    try {
+        for (const requirementJobs of jobsByRequirement.values()) {
+            for (let i = 0; i < requirementJobs.length; i += DESTINATIONS_PER_REQUEST) {
+                const chunk = requirementJobs.slice(i, i + DESTINATIONS_PER_REQUEST);
+                const elements = await getDistanceMatrix(chunk[0].origin, chunk.map(job => job.destination));
+
+                const updates = [];
+                chunk.forEach((job, index) => {
+                    const element = elements[index];
+                    if (element && element.status === 'OK') {
+                        updates.push({ id: job.record.id, fields: buildMetricsFields(element, job, fields, unit) });
+                    } else {
+                        failures.push({ record: job.record, status: element ? element.status : 'UNKNOWN_ERROR' });
+                    }
+                });
+                await writeUpdatesAsync(updates);
+
+                updatedCount += updates.length;
+                processed += chunk.length;
+                onProgress(processed, jobs.length, updatedCount);
+            }
+        }
+    } catch (err) {
+        return { updatedCount, failures, error: err };
+    }
+
+    return { updatedCount, failures, error: null };
+}
@@ -0,0 +1,19 @@
+// Custom properties can only hold a single field, so multi-field settings are a
+// comma-separated list of field names (or IDs). Unknown names are skipped.
+export function resolveFieldList(table, value) {
+    if (!table || !value) {
+        return [];
+    }
+    const fields = [];
+    String(value).split(',').forEach(part => {
+        const nameOrId = part.trim();
+        if (!nameOrId) {
+            return;
+        }
+        const field = table.getFieldByNameIfExists(nameOrId) || table.getFieldByIdIfExists(nameOrId);
+        if (field && !fields.includes(field)) {
+            fields.push(field);
+        }
+    });
+    return fields;
+}
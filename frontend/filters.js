@@ -0,0 +1,105 @@
+import { FieldType } from '@airtable/blocks/interface/models';
+
+export const EMPTY_FILTERS = {
+    propertyTypes: [],
+    distanceRange: null,
+    driveTimeRange: null,
+    requirementId: '',
+    search: '',
+    boundaryKey: '',
+};
+
+export function hasActiveFilters(filters) {
+    return filters.propertyTypes.length > 0 ||
+        filters.distanceRange !== null ||
+        filters.driveTimeRange !== null ||
+        filters.requirementId !== '' ||
+        filters.search.trim() !== '' ||
+        filters.boundaryKey !== '';
+}
+
+// Drive time in minutes, whether the field stores minutes (Number) or seconds (Duration)
+export function getDriveTimeMinutes(record, driveTimeField) {
+    if (!driveTimeField) {
+        return null;
+    }
+    const value = record.getCellValue(driveTimeField.id);
+    if (typeof value !== 'number') {
+        return null;
+    }
+    return driveTimeField.type === FieldType.DURATION ? value / 60 : value;
+}
+
+export function getNumericValue(record, field) {
+    if (!field) {
+        return null;
+    }
+    const value = record.getCellValue(field.id);
+    return typeof value === 'number' ? value : null;
+}
+
+export function getLinkedRequirementIds(record, requirementsField) {
+    if (!requirementsField) {
+        return [];
+    }
+    return (record.getCellValue(requirementsField.id) || []).map(linked => linked.id);
+}
+
+// Property type options in the field's choice order for selects, alphabetical for text
+export function getPropertyTypeOptions(listingRecords, propertyTypeField) {
+    if (!propertyTypeField) {
+        return [];
+    }
+    if (propertyTypeField.type === FieldType.SINGLE_SELECT && propertyTypeField.options) {
+        return propertyTypeField.options.choices.map(choice => choice.name);
+    }
+    const names = new Set();
+    (listingRecords || []).forEach(record => {
+        const name = record.getCellValueAsString(propertyTypeField.id).trim();
+        if (name) {
+            names.add(name);
+        }
+    });
+    return [...names].sort((a, b) => a.localeCompare(b));
+}
+
+// Whole-number [min, max] covering every value, or null when no record has one
+export function getValueRange(listingRecords, getValue) {
+    const values = (listingRecords || []).map(getValue).filter(value => value !== null);
+    if (values.length === 0) {
+        return null;
+    }
+    return [Math.floor(Math.min(...values)), Math.ceil(Math.max(...values))];
+}
+
+const isInRange = (value, range) => value !== null && value >= range[0] && value <= range[1];
+
+export function filterListingRecords(listingRecords, filters, fields) {
+    const { addressField, distanceField, driveTimeField, requirementsField, propertyTypeField } = fields;
+    const search = filters.search.trim().toLowerCase();
+
+    return (listingRecords || []).filter(record => {
+        if (filters.propertyTypes.length > 0) {
+            const propertyType = propertyTypeField ? record.getCellValueAsString(propertyTypeField.id).trim() : '';
+            if (!filters.propertyTypes.includes(propertyType)) {
+                return false;
+            }
+        }
+        if (filters.distanceRange && !isInRange(getNumericValue(record, distanceField), filters.distanceRange)) {
+            return false;
+        }
+        if (filters.driveTimeRange && !isInRange(getDriveTimeMinutes(record, driveTimeField), filters.driveTimeRange)) {
+            return false;
+        }
+        if (filters.requirementId && !getLinkedRequirementIds(record, requirementsField).includes(filters.requirementId)) {
+            return false;
+        }
+        if (search) {
+            const address = addressField ? record.getCellValueAsString(addressField.id).toLowerCase() : '';
+            if (!address.includes(search)) {
+                return false;
+            }
+        }
+        return true;
+    });
+}
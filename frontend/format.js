@@ -0,0 +1,26 @@
+import { fromMeters, unitAbbreviation } from './geo';
+
+// Text formatting shared by the panels, exports and map labels
+
+// "1 listing", "3 listings"; pass the plural for nouns that don't just take an "s"
+export function pluralize(count, noun, pluralNoun = `${noun}s`) {
+    return `${count} ${count === 1 ? noun : pluralNoun}`;
+}
+
+// Coordinates as "lat,lng" with six decimals (about 10 cm), as URLs and keys expect
+export function formatLatLng(position, separator = ',') {
+    return `${position.lat.toFixed(6)}${separator}${position.lng.toFixed(6)}`;
+}
+
+export const formatDistance = (meters, unit) => `${fromMeters(meters, unit).toFixed(1)} ${unitAbbreviation(unit)}`;
+
+// Drive time field values, which are in minutes
+export const formatMinutes = (minutes) => `${Math.round(minutes)} min`;
+
+export function formatDuration(seconds) {
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) {
+        return `${minutes} min`;
+    }
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
@@ -0,0 +1,101 @@
+export const DISTANCE_UNITS = {
+    miles: { metersPerUnit: 1609.344, abbreviation: 'mi' },
+    km: { metersPerUnit: 1000, abbreviation: 'km' },
+};
+
+export function toMeters(value, unit) {
+    return value * (DISTANCE_UNITS[unit] || DISTANCE_UNITS.miles).metersPerUnit;
+}
+
+// Parse a positive number from a custom property string, e.g. "15" or "12.5"
+export function parsePositiveNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+// Parse a ring list such as "5, 10, 15" (or "5/10/15") into sorted, de-duplicated distances
+export function parseRadiusList(value) {
+    if (!value) {
+        return [];
+    }
+    const distances = String(value)
+        .split(/[,/;\s]+/)
+        .map(parsePositiveNumber)
+        .filter(distance => distance !== null);
+    return [...new Set(distances)].sort((a, b) => a - b);
+}
+
+export function fromMeters(meters, unit) {
+    return meters / (DISTANCE_UNITS[unit] || DISTANCE_UNITS.miles).metersPerUnit;
+}
+
+export function unitAbbreviation(unit) {
+    return (DISTANCE_UNITS[unit] || DISTANCE_UNITS.miles).abbreviation;
+}
+
+// The unit a distance field's name declares, e.g. "Drive Distance (mi)" or "Distance km",
+// falling back to the given unit when the name doesn't say
+export function getFieldDistanceUnit(field, fallbackUnit) {
+    const name = field ? field.name : '';
+    if (/\b(km|kilomet(er|re)s?)\b/i.test(name)) {
+        return 'km';
+    }
+    if (/\b(mi|miles?)\b/i.test(name)) {
+        return 'miles';
+    }
+    return fallbackUnit;
+}
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle (haversine) distance between two {lat, lng} literals
+export function distanceMeters(from, to) {
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Ray-casting test for a {lat, lng} point inside a polygon given as {lat, lng} vertices.
+// Treats coordinates as planar, which is fine at the scale of a selection on the map.
+export function isPointInPolygon(point, vertices) {
+    let inside = false;
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+        const a = vertices[i];
+        const b = vertices[j];
+        const crosses = (a.lat > point.lat) !== (b.lat > point.lat) &&
+            point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng;
+        if (crosses) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+// The point reached by travelling `distance` meters from `from` on the given bearing
+export function destinationPoint(from, distance, bearingDegrees) {
+    const angular = distance / EARTH_RADIUS_METERS;
+    const bearing = toRadians(bearingDegrees);
+    const lat1 = toRadians(from.lat);
+    const lng1 = toRadians(from.lng);
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing));
+    const lng2 = lng1 + Math.atan2(
+        Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+        Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+    );
+    return { lat: toDegrees(lat2), lng: ((toDegrees(lng2) + 540) % 360) - 180 };
+}
+
+// Closed ring of vertices approximating a circle, e.g. for exporting radius areas
+export function circleVertices(center, radius, segments = 64) {
+    const vertices = [];
+    for (let i = 0; i <= segments; i++) {
+        vertices.push(destinationPoint(center, radius, (i / segments) * 360));
+    }
+    return vertices;
+}
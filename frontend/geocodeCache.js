@@ -0,0 +1,92 @@
+import { updateRecordsInBatchesAsync } from './recordUpdates';
+
+// Normalize an address so trivial whitespace/case edits don't invalidate the cache
+export function normalizeAddress(address) {
+    return (address || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function parseCacheValue(value) {
+    if (!value) {
+        return null;
+    }
+    try {
+        const parsed = JSON.parse(value);
+        if (parsed && typeof parsed.lat === 'number' && typeof parsed.lng === 'number') {
+            return parsed;
+        }
+    } catch {
+        // Hand-edited or corrupt cache values are treated as a cache miss
+    }
+    return null;
+}
+
+// Returns a {lat, lng} literal for a record whose cached geocode is still valid, or null.
+// `fields` is {latitudeField, longitudeField, cacheField}; any of them may be missing.
+// Only the cache field records which address was geocoded, so it is the one read back.
+export function getCachedLocation(record, address, fields) {
+    const { cacheField } = fields;
+    if (!cacheField) {
+        return null;
+    }
+    const cached = parseCacheValue(record.getCellValueAsString(cacheField.id));
+    if (cached && normalizeAddress(cached.address) === normalizeAddress(address)) {
+        return { lat: cached.lat, lng: cached.lng };
+    }
+    return null;
+}
+
+// Caching needs the cache field to keep the address the coordinates came from;
+// latitude/longitude fields are only filled in alongside it
+export function hasGeocodeCacheFields(fields) {
+    return Boolean(fields.cacheField);
+}
+
+// Build the cell values to write back for a freshly geocoded record
+export function buildCacheFields(fields, address, location) {
+    const { latitudeField, longitudeField, cacheField } = fields;
+    const cellValues = {};
+
+    if (latitudeField && longitudeField) {
+        cellValues[latitudeField.id] = location.lat;
+        cellValues[longitudeField.id] = location.lng;
+    }
+    if (cacheField) {
+        cellValues[cacheField.id] = JSON.stringify({
+            address: address.trim(),
+            lat: location.lat,
+            lng: location.lng,
+        });
+    }
+
+    return cellValues;
+}
+
+// Airtable stores numbers rounded to the field's precision
+function roundToFieldPrecision(field, value) {
+    const precision = field && field.options ? field.options.precision : undefined;
+    return typeof precision === 'number' ? Number(value.toFixed(precision)) : value;
+}
+
+// Whether writing the geocode would change the record, so a record is never rewritten
+// with the values it already holds. `fields` is the same object buildCacheFields took.
+export function needsCacheUpdate(record, fields, cellValues) {
+    const fieldsById = new Map(Object.values(fields).filter(Boolean).map(field => [field.id, field]));
+    return Object.entries(cellValues).some(([fieldId, value]) => {
+        const current = record.getCellValue(fieldId);
+        if (typeof value === 'number' && typeof current === 'number') {
+            const field = fieldsById.get(fieldId);
+            return roundToFieldPrecision(field, current) !== roundToFieldPrecision(field, value);
+        }
+        return current !== value;
+    });
+}
+
+// Write pending cache updates back in batches, skipping silently when the
+// current user can't edit those fields
+export async function writeCacheUpdatesAsync(table, updates) {
+    if (!table || updates.length === 0 || !table.hasPermissionToUpdateRecords(updates)) {
+        return;
+    }
+
+    await updateRecordsInBatchesAsync(table, updates);
+}
@@ -0,0 +1,66 @@
+// Statuses worth retrying; everything else (ZERO_RESULTS, REQUEST_DENIED, ...) is final
+const RETRYABLE_STATUSES = ['OVER_QUERY_LIMIT', 'UNKNOWN_ERROR'];
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs geocode requests a few at a time, at most one per `minIntervalMs`. When the
+// geocoder reports a rate limit every worker pauses together, with the pause doubling
+// on each consecutive retry. `geocoder` is a map provider geocoder.
+export function createGeocodeQueue(geocoder, { concurrency = 4, minIntervalMs = 0, maxRetries = 5, baseDelayMs = 500 } = {}) {
+    const pending = [];
+    let active = 0;
+    let cancelled = false;
+    let pausedUntil = 0;
+    let nextStartAt = 0;
+
+    const runJob = async (job) => {
+        for (let attempt = 0; ; attempt++) {
+            // Claim the next start slot before waiting so workers don't share it
+            const startAt = Math.max(Date.now(), pausedUntil, nextStartAt);
+            nextStartAt = startAt + minIntervalMs;
+            const pause = startAt - Date.now();
+            if (pause > 0) {
+                await wait(pause);
+            }
+            if (cancelled) {
+                return;
+            }
+
+            const { status, position, error } = await geocoder.geocodeAsync(job.address);
+            if (cancelled) {
+                return;
+            }
+
+            if (RETRYABLE_STATUSES.includes(status) && attempt < maxRetries) {
+                pausedUntil = Math.max(pausedUntil, Date.now() + baseDelayMs * 2 ** attempt);
+                continue;
+            }
+
+            job.onDone(status, position, error);
+            return;
+        }
+    };
+
+    const pump = () => {
+        while (!cancelled && active < concurrency && pending.length > 0) {
+            const job = pending.shift();
+            active++;
+            runJob(job).finally(() => {
+                active--;
+                pump();
+            });
+        }
+    };
+
+    return {
+        enqueue(address, onDone) {
+            pending.push({ address, onDone });
+            pump();
+        },
+        // Drop queued work and ignore in-flight results, e.g. when records change mid-run
+        cancel() {
+            cancelled = true;
+            pending.length = 0;
+        },
+    };
+}
@@ -0,0 +1,280 @@
+import { MarkerClusterer } from '@googlemaps/markerclusterer';
+import { getMapStyleOptions } from './mapStyles';
+import { clusterIcon, clusterLabel, buildClusterBreakdown } from './clustering';
+import { loadGoogleMapsAsync, addGoogleMapsFailureListener } from './googleMapsLoader';
+
+// Optional Maps JavaScript API libraries loaded alongside the core API; the
+// heatmap layer lives in 'visualization'
+const LIBRARIES = ['visualization'];
+
+// Listings cluster up to this zoom level and show individually above it
+const CLUSTER_MAX_ZOOM = 16;
+
+const toLiteral = (latLng) => ({ lat: latLng.lat(), lng: latLng.lng() });
+
+// Marker shapes other than the circle, as SVG paths about the same size as
+// SymbolPath.CIRCLE (radius 1 around the anchor)
+const SHAPE_PATHS = {
+    square: 'M -0.9 -0.9 L 0.9 -0.9 L 0.9 0.9 L -0.9 0.9 Z',
+    diamond: 'M 0 -1.25 L 1.25 0 L 0 1.25 L -1.25 0 Z',
+    triangle: 'M 0 -1.25 L 1.15 0.85 L -1.15 0.85 Z',
+};
+
+const toIcon = ({ shape, ...icon }) => ({ path: SHAPE_PATHS[shape] || window.google.maps.SymbolPath.CIRCLE, ...icon });
+
+// Our map and marker wrappers keyed by the Google objects they wrap
+const mapWrappers = new WeakMap();
+const markerWrappers = new WeakMap();
+
+// Newer Maps versions return a promise that rejects on non-OK statuses alongside
+// calling back; the callback already reports those, so swallow the rejection
+function ignoreRejection(maybePromise) {
+    if (maybePromise && typeof maybePromise.catch === 'function') {
+        maybePromise.catch(() => {});
+    }
+}
+
+function wrapMap(map) {
+    const wrapper = {
+        native: map,
+        // Mouse events hand their handler the position as {lat, lng}
+        addListener(eventName, handler) {
+            return map.addListener(eventName, (event) => handler(event && event.latLng ? toLiteral(event.latLng) : undefined));
+        },
+        getBounds() {
+            const bounds = map.getBounds();
+            return bounds ? { contains: (position) => bounds.contains(position) } : null;
+        },
+        fitPositions(positions) {
+            const bounds = new window.google.maps.LatLngBounds();
+            positions.forEach(position => bounds.extend(position));
+            map.fitBounds(bounds);
+        },
+        panTo: (position) => map.panTo(position),
+        setCursor: (cursor) => map.setOptions({ draggableCursor: cursor }),
+        setDoubleClickZoom: (isEnabled) => map.setOptions({ disableDoubleClickZoom: !isEnabled }),
+        applyStyle: (preset, stylesJson, colorScheme) => map.setOptions(getMapStyleOptions(preset, stylesJson, colorScheme)),
+        // Google maps can't be disposed of, so just drop its listeners and DOM
+        destroy() {
+            window.google.maps.event.clearInstanceListeners(map);
+            map.getDiv().replaceChildren();
+        },
+    };
+    mapWrappers.set(map, wrapper);
+    return wrapper;
+}
+
+// Overlays take our map wrapper (or null) wherever Google takes a map
+const nativeMap = (map) => (map ? map.native : null);
+
+// The clusterer moves markers on and off the map itself, so ask the overlay
+function wrapOverlay(overlay) {
+    return {
+        native: overlay,
+        getMap: () => mapWrappers.get(overlay.getMap()) || null,
+        setMap: (map) => overlay.setMap(nativeMap(map)),
+    };
+}
+
+function createMarker({ map, position, icon, label, title, zIndex, clickable }) {
+    const marker = new window.google.maps.Marker({
+        position,
+        map: nativeMap(map),
+        icon: toIcon(icon),
+        label: label || null,
+        title,
+        zIndex,
+        clickable,
+    });
+
+    const wrapper = {
+        ...wrapOverlay(marker),
+        getPosition: () => toLiteral(marker.getPosition()),
+        setPosition: (nextPosition) => marker.setPosition(nextPosition),
+        setIcon: (nextIcon) => marker.setIcon(toIcon(nextIcon)),
+        setDraggable: (isDraggable) => marker.setDraggable(isDraggable),
+        bringToFront: (isFront) => marker.setZIndex(isFront ? Number(window.google.maps.Marker.MAX_ZINDEX) + 1 : null),
+        // 'dragend' hands its handler the dropped position
+        addListener: (eventName, handler) => marker.addListener(eventName, () => handler(toLiteral(marker.getPosition()))),
+    };
+    markerWrappers.set(marker, wrapper);
+    return wrapper;
+}
+
+// Shapes only take clicks when asked to, as with Leaflet; Google's default would
+// swallow map clicks inside them (e.g. "Add listing here" and area selection)
+function createShape(ShapeClass, { map, clickable = false, ...options }) {
+    const shape = new ShapeClass({ ...options, clickable, map: nativeMap(map) });
+    return { shape, wrapper: wrapOverlay(shape) };
+}
+
+// Points are {position, weight}; the gradient is a list of CSS colors, transparent first
+function createHeatmap({ map, points, radius, gradient }) {
+    const layer = new window.google.maps.visualization.HeatmapLayer({
+        data: points.map(point => ({
+            location: new window.google.maps.LatLng(point.position.lat, point.position.lng),
+            weight: point.weight,
+        })),
+        radius,
+        gradient,
+        map: nativeMap(map),
+    });
+    return wrapOverlay(layer);
+}
+
+function createPopup(map, { content, onClose }) {
+    const infoWindow = new window.google.maps.InfoWindow({ content, disableAutoPan: false });
+    infoWindow.addListener('closeclick', onClose);
+
+    return {
+        open(marker) {
+            if (marker.getMap()) {
+                infoWindow.open({ map: map.native, anchor: marker.native });
+            } else {
+                // Marker is currently hidden inside a cluster
+                infoWindow.setPosition(marker.getPosition());
+                infoWindow.open({ map: map.native });
+            }
+        },
+        close: () => infoWindow.close(),
+    };
+}
+
+// Clusters listing markers with count badges. Clicking a cluster zooms to it
+// (the library default) and hovering shows the property type breakdown.
+function createClusterer(map, getMarkerCategory) {
+    const hoverInfoWindow = new window.google.maps.InfoWindow({ disableAutoPan: true });
+
+    const renderer = {
+        render(cluster) {
+            const count = cluster.count;
+            const marker = new window.google.maps.Marker({
+                position: cluster.position,
+                icon: toIcon(clusterIcon(count)),
+                label: clusterLabel(count),
+                // Larger clusters sit above smaller ones and above individual listings
+                zIndex: Number(window.google.maps.Marker.MAX_ZINDEX) + count,
+            });
+
+            marker.addListener('mouseover', () => {
+                const markers = cluster.markers.map(clustered => markerWrappers.get(clustered));
+                hoverInfoWindow.setContent(buildClusterBreakdown(markers, getMarkerCategory));
+                hoverInfoWindow.open({ map: map.native, anchor: marker });
+            });
+            marker.addListener('mouseout', () => hoverInfoWindow.close());
+            marker.addListener('click', () => hoverInfoWindow.close());
+
+            return marker;
+        },
+    };
+
+    const clusterer = new MarkerClusterer({ map: map.native, renderer, algorithmOptions: { maxZoom: CLUSTER_MAX_ZOOM } });
+    const natives = (markers) => markers.map(marker => marker.native);
+
+    return {
+        addMarker: (marker) => clusterer.addMarker(marker.native),
+        addMarkers: (markers, noDraw) => clusterer.addMarkers(natives(markers), noDraw),
+        removeMarker: (marker, noDraw) => clusterer.removeMarker(marker.native, noDraw),
+        render: () => clusterer.render(),
+        setMap: (nextMap) => clusterer.setMap(nativeMap(nextMap)),
+        // Zooms in past clustering when the marker is inside a cluster, then calls `callback`
+        showMarker(marker, callback) {
+            const native = map.native;
+            if (marker.native.getMap() || native.getZoom() > CLUSTER_MAX_ZOOM) {
+                callback();
+                return;
+            }
+            window.google.maps.event.addListenerOnce(clusterer, 'clusteringend', callback);
+            native.setCenter(marker.native.getPosition());
+            native.setZoom(CLUSTER_MAX_ZOOM + 1);
+        },
+    };
+}
+
+function createGeocoder() {
+    const geocoder = new window.google.maps.Geocoder();
+
+    const requestAsync = (request) => new Promise((resolve) => {
+        try {
+            ignoreRejection(geocoder.geocode(request, (results, status) => resolve({ results, status })));
+        } catch (err) {
+            resolve({ results: null, status: 'ERROR', error: err });
+        }
+    });
+
+    return {
+        // Resolves to {status, position}; statuses are Google's (OK, ZERO_RESULTS, ...)
+        async geocodeAsync(address) {
+            const { results, status, error } = await requestAsync({ address });
+            if (status === 'OK' && results[0]) {
+                return { status, position: toLiteral(results[0].geometry.location) };
+            }
+            return { status: status === 'OK' ? 'ZERO_RESULTS' : status, position: null, error };
+        },
+        async reverseGeocodeAsync(position) {
+            const { results, status } = await requestAsync({ location: position });
+            return status === 'OK' && results[0] ? results[0].formatted_address : null;
+        },
+    };
+}
+
+// Google's client-side Distance Matrix service
+function createDistanceMatrix() {
+    const service = new window.google.maps.DistanceMatrixService();
+
+    return (origin, destinations) => new Promise((resolve, reject) => {
+        ignoreRejection(service.getDistanceMatrix({
+            origins: [origin],
+            destinations,
+            travelMode: window.google.maps.TravelMode.DRIVING,
+        }, (response, status) => {
+            if (status !== 'OK') {
+                reject(new Error(`Distance Matrix request failed: ${status}`));
+                return;
+            }
+            resolve(response.rows[0].elements.map(element => ({
+                status: element.status,
+                distanceMeters: element.distance ? element.distance.value : null,
+                durationSeconds: element.duration ? element.duration.value : null,
+            })));
+        }));
+    });
+}
+
+export function createGoogleMapProvider({ apiKey }) {
+    return {
+        name: 'google',
+        loadingLabel: 'Loading Google Maps...',
+        geocodeQueueOptions: { concurrency: 4 },
+        loadAsync: () => loadGoogleMapsAsync(apiKey, LIBRARIES),
+        // Calls `handler(message)` when Google rejects the API key, e.g. for referrer restrictions
+        addErrorListener: (handler) => addGoogleMapsFailureListener(failure => handler(failure.message)),
+        createMap(container, { center, zoom }) {
+            return wrapMap(new window.google.maps.Map(container, {
+                zoom,
+                center,
+                mapTypeControl: true,
+                streetViewControl: false,
+                gestureHandling: 'greedy', // Allows scroll wheel zoom without Ctrl/Cmd
+                scrollwheel: true,
+            }));
+        },
+        createMarker,
+        createCircle: (options) => createShape(window.google.maps.Circle, options).wrapper,
+        createPolygon: (options) => createShape(window.google.maps.Polygon, options).wrapper,
+        createPolyline(options) {
+            const { shape, wrapper } = createShape(window.google.maps.Polyline, options);
+            return { ...wrapper, setPath: (path) => shape.setPath(path) };
+        },
+        // Bounds are {south, west, north, east}
+        createRectangle(options) {
+            const { shape, wrapper } = createShape(window.google.maps.Rectangle, options);
+            return { ...wrapper, setBounds: (bounds) => shape.setBounds(bounds) };
+        },
+        createHeatmap,
+        createPopup,
+        createClusterer,
+        createGeocoder,
+        createDistanceMatrix,
+    };
+}
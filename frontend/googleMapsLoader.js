@@ -0,0 +1,185 @@
+// Shared loader for the Google Maps JavaScript API. It loads the libraries asked for,
+// swaps API keys without a page reload, and turns Google's key and quota failures
+// (which otherwise leave a blank grey map) into errors with guidance.
+
+const API_URL = 'https://maps.googleapis.com/maps/api/js';
+const CALLBACK_PREFIX = '__vesperGoogleMapsLoaded';
+
+// Browser keys start with "AIza" and are 39 characters long
+const API_KEY_PATTERN = /^AIza[0-9A-Za-z_-]{35}$/;
+
+// Google only says why a key was rejected in the console, e.g.
+// "Google Maps JavaScript API error: RefererNotAllowedMapError". The console is
+// listened to while a key loads and authenticates, then handed back.
+const CONSOLE_ERROR_PATTERN = /Google Maps JavaScript API (?:error|warning): (\w+)/;
+const CONSOLE_WATCH_MS = 15000;
+
+const FAILURE_GUIDANCE = {
+    InvalidKeyMapError: () => 'The API key is not valid. Check the Google Maps API Key property against the key in the Google Cloud console.',
+    MissingKeyMapError: () => 'No API key was sent. Set the Google Maps API Key property.',
+    ExpiredKeyMapError: () => 'The API key has expired or was deleted. Create a new key in the Google Cloud console.',
+    DeletedApiProjectMapError: () => "The key's Google Cloud project was deleted. Create a key in an active project.",
+    ApiNotActivatedMapError: () => "The Maps JavaScript API isn't enabled for the key's project. Enable it under APIs & Services in the Google Cloud console.",
+    ApiTargetBlockedMapError: () => "The key's API restrictions don't include the Maps JavaScript API. Add it to the key's API restrictions.",
+    BillingNotEnabledMapError: () => "Billing isn't enabled for the key's Google Cloud project. Enable billing to use Google Maps.",
+    OverQuotaMapError: () => 'The key has used up its Maps JavaScript API quota. Raise the quota in the Google Cloud console or try again later.',
+    RefererNotAllowedMapError: () => `The key doesn't allow requests from this extension. Add ${window.location.origin}/* to the key's website restrictions.`,
+};
+
+// The loaded script, as {apiKey, libraries, script, promise, failureCode, stopWatchingConsole, previousAuthFailure}
+let current = null;
+let loadCount = 0;
+// The failure reported for the current key, as {code, message}
+let failure = null;
+const failureListeners = new Set();
+
+// Why a key can't work, or null if it looks like a Google API key
+export function getGoogleApiKeyProblem(apiKey) {
+    const key = (apiKey || '').trim();
+    if (!key) {
+        return 'is missing';
+    }
+    if (!API_KEY_PATTERN.test(key)) {
+        return 'doesn\'t look like a Google API key (they start with "AIza" and are 39 characters long)';
+    }
+    return null;
+}
+
+// Guidance for a Maps error code, or for every likely cause when the code is unknown
+function describeFailure(code) {
+    const guidance = FAILURE_GUIDANCE[code];
+    return {
+        code,
+        message: guidance
+            ? `Google Maps rejected the API key (${code}). ${guidance()}`
+            : 'Google Maps rejected the API key. Check in the Google Cloud console that the key is valid, ' +
+                `that its website restrictions include ${window.location.origin}/*, that the Maps JavaScript API is enabled ` +
+                "and included in the key's API restrictions, and that billing is enabled for its project.",
+    };
+}
+
+function reportFailure(code) {
+    failure = describeFailure(code);
+    failureListeners.forEach(listener => listener(failure));
+}
+
+// Passes the code of each Maps error logged to console.error/warn to `onCode`.
+// Returns a function that puts the console methods back.
+function watchConsole(onCode) {
+    let isWatching = true;
+    const restores = ['error', 'warn'].map(level => {
+        const original = console[level];
+        const wrapper = (...args) => {
+            const match = isWatching && typeof args[0] === 'string' ? args[0].match(CONSOLE_ERROR_PATTERN) : null;
+            if (match && FAILURE_GUIDANCE[match[1]]) {
+                onCode(match[1]);
+            }
+            original.apply(console, args);
+        };
+        console[level] = wrapper;
+        return () => {
+            // Something that wrapped the console after us keeps its wrapper, which
+            // then reaches ours as a plain pass-through
+            if (console[level] === wrapper) {
+                console[level] = original;
+            }
+        };
+    });
+    return () => {
+        isWatching = false;
+        restores.forEach(restore => restore());
+    };
+}
+
+// Drop the API this loader injected so another key can be loaded, handing
+// gm_authFailure and the console back to whatever had them before
+function unload() {
+    if (current) {
+        current.stopWatchingConsole();
+        current.script.remove();
+        delete window.google;
+        if (current.previousAuthFailure) {
+            window.gm_authFailure = current.previousAuthFailure;
+        } else {
+            delete window.gm_authFailure;
+        }
+    }
+    current = null;
+    failure = null;
+}
+
+// Loads the API with the given key and libraries, e.g. ['visualization']. Loading again
+// with the same key reuses the script and imports any missing library into it; only
+// another key replaces the script.
+export function loadGoogleMapsAsync(apiKey, libraries = []) {
+    const key = (apiKey || '').trim();
+    if (!key) {
+        return Promise.reject(new Error('Google Maps API key not found. Please set VESPER_GOOGLE_API in custom properties, or switch the Map Provider to Leaflet.'));
+    }
+    if (current && current.apiKey === key) {
+        const loaded = current;
+        const missing = libraries.filter(library => !loaded.libraries.includes(library));
+        if (missing.length > 0) {
+            loaded.libraries = [...loaded.libraries, ...missing];
+            loaded.promise = loaded.promise
+                .then(() => Promise.all(missing.map(library => window.google.maps.importLibrary(library))))
+                .then(() => undefined);
+        }
+        return loaded.promise;
+    }
+
+    const previousAuthFailure = current ? current.previousAuthFailure : window.gm_authFailure;
+    unload();
+
+    // Each load gets its own callback so a replaced script can't resolve a newer load
+    const callbackName = `${CALLBACK_PREFIX}${++loadCount}`;
+    const script = document.createElement('script');
+    const params = new URLSearchParams({ key, callback: callbackName });
+    if (libraries.length > 0) {
+        params.set('libraries', libraries.join(','));
+    }
+    script.src = `${API_URL}?${params}`;
+    script.async = true;
+
+    const loading = { apiKey: key, libraries: [...libraries], script, failureCode: null, previousAuthFailure };
+    loading.stopWatchingConsole = watchConsole((code) => {
+        if (current === loading) {
+            loading.failureCode = code;
+            loading.stopWatchingConsole();
+            reportFailure(code);
+        }
+    });
+    // Google calls this global when it rejects the key; the console usually said why just before
+    window.gm_authFailure = () => {
+        if (current === loading) {
+            reportFailure(loading.failureCode);
+        }
+    };
+    loading.promise = new Promise((resolve, reject) => {
+        window[callbackName] = () => {
+            delete window[callbackName];
+            setTimeout(loading.stopWatchingConsole, CONSOLE_WATCH_MS);
+            resolve();
+        };
+        script.onerror = () => {
+            delete window[callbackName];
+            if (current === loading) {
+                unload();
+            }
+            reject(new Error('Failed to load Google Maps API. Check the network connection and any content blockers.'));
+        };
+    });
+    current = loading;
+    document.head.appendChild(script);
+    return loading.promise;
+}
+
+// Calls `listener({code, message})` when Google rejects the current key, including a
+// rejection that happened before subscribing. Returns {remove}.
+export function addGoogleMapsFailureListener(listener) {
+    failureListeners.add(listener);
+    if (failure) {
+        listener(failure);
+    }
+    return { remove: () => failureListeners.delete(listener) };
+}
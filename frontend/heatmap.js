@@ -0,0 +1,57 @@
+import { FieldType } from '@airtable/blocks/interface/models';
+import { getNumericValue } from './filters';
+
+export const DEFAULT_HEATMAP_RADIUS = 30;
+export const MIN_HEATMAP_RADIUS = 10;
+export const MAX_HEATMAP_RADIUS = 80;
+
+// Colors from no listings to the densest (or highest-value) areas; the first is
+// drawn where there is nothing, so it is fully transparent
+export const HEATMAP_GRADIENTS = [
+    {
+        value: 'classic',
+        label: 'Classic',
+        colors: ['rgba(0, 255, 255, 0)', 'rgba(0, 255, 255, 1)', 'rgba(0, 127, 255, 1)', 'rgba(0, 0, 255, 1)', 'rgba(127, 0, 127, 1)', 'rgba(255, 0, 0, 1)'],
+    },
+    {
+        value: 'warm',
+        label: 'Warm',
+        colors: ['rgba(253, 224, 221, 0)', 'rgba(253, 224, 221, 1)', 'rgba(250, 159, 181, 1)', 'rgba(247, 64, 34, 1)', 'rgba(174, 1, 126, 1)'],
+    },
+    {
+        value: 'viridis',
+        label: 'Viridis',
+        colors: ['rgba(68, 1, 84, 0)', 'rgba(68, 1, 84, 1)', 'rgba(59, 82, 139, 1)', 'rgba(33, 145, 140, 1)', 'rgba(94, 201, 98, 1)', 'rgba(253, 231, 37, 1)'],
+    },
+    {
+        value: 'blues',
+        label: 'Blues',
+        colors: ['rgba(198, 219, 239, 0)', 'rgba(198, 219, 239, 1)', 'rgba(107, 174, 214, 1)', 'rgba(33, 113, 181, 1)', 'rgba(8, 48, 107, 1)'],
+    },
+];
+
+export const getHeatmapGradient = (value) => (HEATMAP_GRADIENTS.find(gradient => gradient.value === value) || HEATMAP_GRADIENTS[0]).colors;
+
+export function isHeatmapWeightFieldAllowed(field) {
+    return [FieldType.NUMBER, FieldType.CURRENCY, FieldType.PERCENT].includes(field.config.type);
+}
+
+// Heatmap points for the plotted listings as {position, weight}, with weights scaled
+// to 0-1. Without a weight field every listing counts once; with one, listings
+// without a positive value are left out.
+export function buildHeatmapPoints(listingRecords, locationsById, weightField) {
+    const points = [];
+    listingRecords.forEach(record => {
+        const position = locationsById[record.id];
+        if (!position) {
+            return;
+        }
+        const weight = weightField ? getNumericValue(record, weightField) : 1;
+        if (weight !== null && weight > 0) {
+            points.push({ position, weight });
+        }
+    });
+
+    const maxWeight = Math.max(...points.map(point => point.weight));
+    return points.map(point => ({ ...point, weight: point.weight / maxWeight }));
+}
@@ -1,8 +1,69 @@
-import React, { useEffect, useRef, useState, useCallback } from 'react';
-import { initializeBlock, useBase, useRecords, useCustomProperties } from '@airtable/blocks/interface/ui';
+import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { initializeBlock, useBase, useRecords, useCustomProperties, useGlobalConfig, useColorScheme, useSession, expandRecord } from '@airtable/blocks/interface/ui';
 import { FieldType } from '@airtable/blocks/interface/models';
+import { getCachedLocation, hasGeocodeCacheFields, buildCacheFields, needsCacheUpdate, writeCacheUpdatesAsync, normalizeAddress } from './geocodeCache';
+import { createGeocodeQueue } from './geocodeQueue';
+import { toMeters, fromMeters, unitAbbreviation, getFieldDistanceUnit } from './geo';
+import { getRadiusSettings, buildRequirementAreas, checkListingsAgainstRadius } from './radius';
+import { GeocodeProgress, GeocodeFailuresPanel } from './GeocodeStatus';
+import { SaveRadiusCheckButton } from './SaveRadiusCheckButton';
+import { DriveMetricsButton } from './DriveMetricsButton';
+import { createHttpDistanceMatrix } from './driveMetrics';
+import { FilterPanel } from './FilterPanel';
+import { ListingListPanel, sortListingRows } from './ListingListPanel';
+import { RequirementInfoWindow, ListingInfoWindow } from './InfoWindows';
+import { toSafeUrl } from './safeUrl';
+import { resolveFieldList } from './fieldList';
+import { buildMarkerColorScale, isMarkerColorFieldAllowed } from './markerColors';
+import { MarkerLegend } from './MarkerLegend';
+import { getManualLocation, isManualLocation, canSaveManualLocation, saveManualLocationAsync } from './manualLocation';
+import { RepositionHint } from './RepositionHint';
+import { AddListingButton } from './AddListingButton';
+import { createListingAtAsync } from './newListing';
+import { startAreaSelection } from './areaSelection';
+import { SelectionToolbar } from './SelectionToolbar';
+import { SelectionPanel } from './SelectionPanel';
+import { ExportMenu } from './ExportMenu';
+import { collectExportData } from './mapExport';
+import {
+    BOUNDARY_LAYERS_CONFIG_KEY,
+    listBoundaries,
+    findContainingBoundaries,
+    boundaryContains,
+    getPolygonPaths,
+    polygonLabelPosition,
+} from './boundaries';
+import { BoundaryLayersPanel } from './BoundaryLayersPanel';
+import { MAP_STYLE_OPTIONS } from './mapStyles';
+import { MAP_PROVIDER_OPTIONS, createMapProvider } from './mapProvider';
+import { DEFAULT_TILE_URL, DEFAULT_TILE_ATTRIBUTION, DEFAULT_GEOCODING_URL } from './leafletMapProvider';
+import { getGoogleApiKeyProblem } from './googleMapsLoader';
+import { DEFAULT_HEATMAP_RADIUS, buildHeatmapPoints, getHeatmapGradient, isHeatmapWeightFieldAllowed } from './heatmap';
+import { HeatmapControl } from './HeatmapControl';
+import { FocusModeHeader } from './FocusModeHeader';
+import { MAX_SHORTLIST_SIZE, getShortlistConfigPath, isShortlistMarkFieldAllowed } from './shortlist';
+import { ShortlistTray } from './ShortlistTray';
+import { ShortlistComparison } from './ShortlistComparison';
+import { MAX_TOUR_STOPS, pickTourStartId, planTourAsync } from './tourRoute';
+import { TourPanel } from './TourPanel';
+import {
+    EMPTY_FILTERS,
+    filterListingRecords,
+    getPropertyTypeOptions,
+    getValueRange,
+    getNumericValue,
+    getDriveTimeMinutes,
+    getLinkedRequirementIds,
+} from './filters';
+import { formatDistance, formatDuration } from './format';
 import './style.css';
 
+// Small pencil badge drawn on the markers of manually placed records
+function manualLocationLabel(color) {
+    return { text: '✎', color, fontSize: '9px', fontWeight: '700' };
+}
+
 function MapInterface() {
     const base = useBase();
 
@@ -15,6 +76,7 @@ function MapInterface() {
         // Set up table references for field defaults (use found tables or fallback)
         const reqTable = foundRequirementsTable || base.tables[0];
         const listTable = foundListingsTable || base.tables[1] || base.tables[0];
+        const statusField = listTable.getFieldByNameIfExists('Status');
 
         return [
             {
@@ -98,6 +160,247 @@ function MapInterface() {
                 table: listTable,
                 shouldFieldBeAllowed: (field) => field.config.type === FieldType.SINGLE_SELECT || field.config.type === FieldType.SINGLE_LINE_TEXT,
                 defaultValue: listTable.getFieldByNameIfExists('Property Type') || listTable.getFieldByNameIfExists('Listing Type') || listTable.getFieldByNameIfExists('Type')
+            },
+            {
+                key: 'requirementLatitudeField',
+                label: 'Requirement Latitude Field',
+                type: 'field',
+                table: reqTable,
+                shouldFieldBeAllowed: (field) => field.config.type === FieldType.NUMBER,
+                defaultValue: reqTable.getFieldByNameIfExists('Latitude')
+            },
+            {
+                key: 'requirementLongitudeField',
+                label: 'Requirement Longitude Field',
+                type: 'field',
+                table: reqTable,
+                shouldFieldBeAllowed: (field) => field.config.type === FieldType.NUMBER,
+                defaultValue: reqTable.getFieldByNameIfExists('Longitude')
+            },
+            {
+                key: 'requirementGeocodeCacheField',
+                label: 'Requirement Geocode Cache Field',
+                type: 'field',
+                table: reqTable,
+                shouldFieldBeAllowed: (field) => field.config.type === FieldType.SINGLE_LINE_TEXT || field.config.type === FieldType.MULTILINE_TEXT,
+                defaultValue: reqTable.getFieldByNameIfExists('Geocode Cache')
+            },
+            {
+                key: 'listingLatitudeField',
+                label: 'Listing Latitude Field',
+                type: 'field',
+                table: listTable,
+                shouldFieldBeAllowed: (field) => field.config.type === FieldType.NUMBER,
+                defaultValue: listTable.getFieldByNameIfExists('Latitude')
+            },
+            {
+                key: 'listingLongitudeField',
+                label: 'Listing Longitude Field',
+                type: 'field',
+                table: listTable,
+                shouldFieldBeAllowed: (field) => field.config.type === FieldType.NUMBER,
+                defaultValue: listTable.getFieldByNameIfExists('Longitude')
+            },
+            {
+                key: 'listingGeocodeCacheField',
+                label: 'Listing Geocode Cache Field',
+                type: 'field',
+                table: listTable,
+                shouldFieldBeAllowed: (field) => field.config.type === FieldType.SINGLE_LINE_TEXT || field.config.type === FieldType.MULTILINE_TEXT,
+                defaultValue: listTable.getFieldByNameIfExists('Geocode Cache')
+            },
+            {
+                key: 'requirementRadiusField',
+                label: 'Requirement Radius Field',
+                type: 'field',
+                table: reqTable,
+                shouldFieldBeAllowed: (field) => field.config.type === FieldType.NUMBER,
+                defaultValue: reqTable.getFieldByNameIfExists('Requirement Radius') || reqTable.getFieldByNameIfExists('Radius')
+            },
+            {
+                key: 'defaultRadius',
+                label: 'Default Radius',
+                type: 'string',
+                defaultValue: '15'
+            },
+            {
+                key: 'radiusUnit',
+                label: 'Radius Unit',
+                type: 'enum',
+                possibleValues: [
+                    { value: 'miles', label: 'Miles' },
+                    { value: 'km', label: 'Kilometers' }
+                ],
+                defaultValue: 'miles'
+            },
+            {
+                key: 'radiusRings',
+                label: 'Extra Radius Rings (e.g. 5, 10, 15)',
+                type: 'string',
+                defaultValue: ''
+            },
+            {
+                key: 'listingWithinRadiusField',
+                label: 'Listing Within Radius Field',
+                type: 'field',
+                table: listTable,
+                shouldFieldBeAllowed: (field) => field.config.type === FieldType.CHECKBOX,
+                defaultValue: listTable.getFieldByNameIfExists('Within Radius')
+            },
+            {
+                key: 'listingStraightLineDistanceField',
+                label: 'Listing Straight-line Distance Field',
+                type: 'field',
+                table: listTable,
+                shouldFieldBeAllowed: (field) => field.config.type === FieldType.NUMBER,
+                defaultValue: listTable.getFieldByNameIfExists('Straight-line Distance')
+            },
+            {
+                key: 'listingDriveMetricsSourceField',
+                label: 'Listing Drive Metrics Source Field',
+                type: 'field',
+                table: listTable,
+                shouldFieldBeAllowed: (field) => field.config.type === FieldType.SINGLE_LINE_TEXT || field.config.type === FieldType.MULTILINE_TEXT,
+                defaultValue: listTable.getFieldByNameIfExists('Drive Metrics Source')
+            },
+            {
+                key: 'driveMetricsServiceUrl',
+                label: 'Drive Metrics Service URL (optional, for local testing)',
+                type: 'string',
+                defaultValue: ''
+            },
+            {
+                key: 'clusterListings',
+                label: 'Cluster Listing Markers',
+                type: 'boolean',
+                defaultValue: true
+            },
+            {
+                key: 'requirementInfoWindowFields',
+                label: 'Requirement Info Window Fields (comma-separated field names)',
+                type: 'string',
+                defaultValue: ''
+            },
+            {
+                key: 'listingInfoWindowFields',
+                label: 'Listing Info Window Fields (comma-separated field names)',
+                type: 'string',
+                defaultValue: ''
+            },
+            {
+                key: 'listingMarkerColorField',
+                label: 'Marker Color Field',
+                type: 'field',
+                table: listTable,
+                shouldFieldBeAllowed: isMarkerColorFieldAllowed,
+                defaultValue: statusField && isMarkerColorFieldAllowed(statusField) ? statusField : undefined
+            },
+            {
+                key: 'markerGradientStart',
+                label: 'Marker Gradient Low Color (hex, for number fields)',
+                type: 'string',
+                defaultValue: '#fde0dd'
+            },
+            {
+                key: 'markerGradientEnd',
+                label: 'Marker Gradient High Color (hex, for number fields)',
+                type: 'string',
+                defaultValue: '#f74022'
+            },
+            {
+                key: 'requirementManualLocationField',
+                label: 'Requirement Manual Location Field',
+                type: 'field',
+                table: reqTable,
+                shouldFieldBeAllowed: (field) => field.config.type === FieldType.CHECKBOX,
+                defaultValue: reqTable.getFieldByNameIfExists('Manual Location')
+            },
+            {
+                key: 'listingManualLocationField',
+                label: 'Listing Manual Location Field',
+                type: 'field',
+                table: listTable,
+                shouldFieldBeAllowed: (field) => field.config.type === FieldType.CHECKBOX,
+                defaultValue: listTable.getFieldByNameIfExists('Manual Location')
+            },
+            {
+                key: 'listingStatusField',
+                label: 'Listing Status Field',
+                type: 'field',
+                table: listTable,
+                shouldFieldBeAllowed: (field) => field.config.type === FieldType.SINGLE_SELECT,
+                defaultValue: statusField && statusField.type === FieldType.SINGLE_SELECT ? statusField : undefined
+            },
+            {
+                key: 'mapStyle',
+                label: 'Map Style',
+                type: 'enum',
+                possibleValues: MAP_STYLE_OPTIONS,
+                defaultValue: 'default'
+            },
+            {
+                key: 'mapStylesJson',
+                label: 'Custom Map Styles JSON (used with the Custom map style)',
+                type: 'string',
+                defaultValue: ''
+            },
+            {
+                key: 'mapProvider',
+                label: 'Map Provider',
+                type: 'enum',
+                possibleValues: MAP_PROVIDER_OPTIONS,
+                defaultValue: 'google'
+            },
+            {
+                key: 'leafletTileUrl',
+                label: 'Leaflet Tile URL (used with the Leaflet provider)',
+                type: 'string',
+                defaultValue: DEFAULT_TILE_URL
+            },
+            {
+                key: 'leafletTileAttribution',
+                label: 'Leaflet Tile Attribution',
+                type: 'string',
+                defaultValue: DEFAULT_TILE_ATTRIBUTION
+            },
+            {
+                key: 'geocodingUrl',
+                label: 'Geocoding URL (Nominatim-compatible, used with the Leaflet provider)',
+                type: 'string',
+                defaultValue: DEFAULT_GEOCODING_URL
+            },
+            {
+                key: 'heatmapWeightField',
+                label: 'Heatmap Weight Field (empty to weight by count)',
+                type: 'field',
+                table: listTable,
+                shouldFieldBeAllowed: isHeatmapWeightFieldAllowed
+            },
+            {
+                key: 'shortlistComparisonFields',
+                label: 'Shortlist Comparison Fields (comma-separated field names, defaults to the listing info window fields)',
+                type: 'string',
+                defaultValue: ''
+            },
+            {
+                key: 'shortlistHigherIsBetterFields',
+                label: 'Comparison Fields Where Higher Is Better (comma-separated field names)',
+                type: 'string',
+                defaultValue: ''
+            },
+            {
+                key: 'shortlistMarkField',
+                label: 'Shortlist Mark Field (checkbox or single select)',
+                type: 'field',
+                table: listTable,
+                shouldFieldBeAllowed: isShortlistMarkFieldAllowed,
+                defaultValue: listTable.getFieldByNameIfExists('Shortlisted')
+            },
+            {
+                key: 'shortlistMarkChoice',
+                label: 'Shortlist Mark Option (for a single select mark field)',
+                type: 'string',
+                defaultValue: 'Shortlisted'
             }
         ];
     }, []);
@@ -106,11 +409,58 @@ function MapInterface() {
 
     const mapContainerRef = useRef(null);
     const mapInstanceRef = useRef(null);
-    const markersRef = useRef([]);
-    const circlesRef = useRef([]);
+    // Requirement markers and circles keyed by record ID
+    const requirementLayersRef = useRef(new Map());
     const infoWindowRef = useRef(null);
-    const [mapsLoaded, setMapsLoaded] = useState(false);
+    // Record whose info window is open, so it survives marker updates
+    const openInfoWindowIdRef = useRef(null);
+    // The map fits to the markers once; later edits leave the viewport alone
+    const hasFitBoundsRef = useRef(false);
+    // Listing markers keyed by record ID, for the listing panel to highlight and open
+    const listingMarkersRef = useRef(new Map());
+    const highlightedListingIdRef = useRef(null);
+    const clustererRef = useRef(null);
+    // Property type of each listing marker, for the cluster hover breakdown
+    const markerCategoriesRef = useRef(new WeakMap());
+    // Geocoder outcomes during this session keyed by normalized address ({position} or
+    // a final failure {status}), so record edits never send an address twice
+    const sessionGeocodesRef = useRef(new Map());
+    const focusLinesRef = useRef([]);
+    const shouldFitFocusRef = useRef(false);
+    // Only the latest tour request may show its plan
+    const tourPlanCountRef = useRef(0);
+    const [loadedMapProvider, setLoadedMapProvider] = useState(null);
     const [error, setError] = useState(null);
+    const [geocodeProgress, setGeocodeProgress] = useState(null);
+    const [geocodeFailures, setGeocodeFailures] = useState([]);
+    // Resolved positions ({lat, lng}) of requirements and listings by record ID. Every
+    // marker, area and panel reads positions from here rather than geocoding its own.
+    const [locationsById, setLocationsById] = useState({});
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [isFilterPanelOpen, setIsFilterPanelOpen] = useState(true);
+    const [mapBounds, setMapBounds] = useState(null);
+    const [selectedListingId, setSelectedListingId] = useState(null);
+    const [isListPanelOpen, setIsListPanelOpen] = useState(true);
+    const [listSortBy, setListSortBy] = useState('distance');
+    const [onlyInViewport, setOnlyInViewport] = useState(false);
+    const [infoWindowNode, setInfoWindowNode] = useState(null);
+    const [infoWindowTarget, setInfoWindowTarget] = useState(null);
+    const [hiddenMarkerCategories, setHiddenMarkerCategories] = useState([]);
+    const [focusedRequirementId, setFocusedRequirementId] = useState(null);
+    const [repositioning, setRepositioning] = useState(null);
+    const [repositionStatus, setRepositionStatus] = useState(null);
+    const [isAddingListing, setIsAddingListing] = useState(false);
+    const [addListingStatus, setAddListingStatus] = useState(null);
+    const [pendingExpandListingId, setPendingExpandListingId] = useState(null);
+    const [selectionTool, setSelectionTool] = useState(null);
+    const [selectionArea, setSelectionArea] = useState(null);
+    const [hiddenBoundaryLayerIds, setHiddenBoundaryLayerIds] = useState([]);
+    const [heatmapSettings, setHeatmapSettings] = useState({ isVisible: false, radius: DEFAULT_HEATMAP_RADIUS, gradient: 'classic' });
+    // Shortlist for viewers who can't save to the global config, e.g. in a public share
+    const [unsavedShortlistIds, setUnsavedShortlistIds] = useState([]);
+    const [isComparingShortlist, setIsComparingShortlist] = useState(false);
+    // Site tour as {stopIds, startId, plan, status}; plan is null until the route is ready
+    const [tour, setTour] = useState(null);
 
     // Get tables from custom properties
     const requirementsTable = customPropertyValueByKey.requirementsTable;
@@ -120,448 +470,1190 @@ function MapInterface() {
     const requirementRecords = useRecords(requirementsTable);
     const listingRecords = useRecords(listingsTable);
 
-    // Load Google Maps API dynamically
-    useEffect(() => {
-        // Check if already loaded
-        if (window.google && window.google.maps) {
-            setMapsLoaded(true);
+    // Boundary overlays imported from GeoJSON/KML files are kept in the global config
+    const globalConfig = useGlobalConfig();
+    const storedBoundaryLayers = globalConfig.get(BOUNDARY_LAYERS_CONFIG_KEY);
+    const boundaryLayers = useMemo(
+        () => (Array.isArray(storedBoundaryLayers) ? storedBoundaryLayers : []),
+        [storedBoundaryLayers]
+    );
+    const boundaries = useMemo(() => listBoundaries(boundaryLayers), [boundaryLayers]);
+
+    // Each collaborator keeps their own shortlist in the global config
+    const { currentUser } = useSession();
+    const shortlistConfigPath = currentUser ? getShortlistConfigPath(currentUser.id) : null;
+    const canSaveShortlist = Boolean(shortlistConfigPath && globalConfig.hasPermissionToSet(shortlistConfigPath));
+    const storedShortlistIds = canSaveShortlist ? globalConfig.get(shortlistConfigPath) : null;
+    const shortlistIds = canSaveShortlist
+        ? (Array.isArray(storedShortlistIds) ? storedShortlistIds : [])
+        : unsavedShortlistIds;
+    const setShortlistIds = (ids) => {
+        if (!canSaveShortlist) {
+            setUnsavedShortlistIds(ids);
             return;
         }
+        globalConfig.setAsync(shortlistConfigPath, ids)
+            .catch(err => console.warn('Failed to save shortlist:', err));
+    };
+
+    const { colorScheme } = useColorScheme();
+
+    // The map provider draws the map and geocodes; Leaflet works without a Google API key
+    const {
+        mapProvider: mapProviderName, VESPER_GOOGLE_API: googleApiKey,
+        leafletTileUrl, leafletTileAttribution, geocodingUrl,
+    } = customPropertyValueByKey;
+    const mapProvider = useMemo(() => createMapProvider(mapProviderName, {
+        apiKey: googleApiKey,
+        tileUrl: leafletTileUrl,
+        tileAttribution: leafletTileAttribution,
+        geocodingUrl,
+    }), [mapProviderName, googleApiKey, leafletTileUrl, leafletTileAttribution, geocodingUrl]);
+    // Tracked per provider so a newly picked provider is never used before it has loaded
+    const mapsLoaded = loadedMapProvider === mapProvider;
 
-        // Get API key from custom properties
-        const GOOGLE_KEY = customPropertyValueByKey.VESPER_GOOGLE_API;
+    // Load the provider's map library (the Google Maps script is injected on demand) and
+    // report failures that only show up later, such as Google rejecting the API key
+    useEffect(() => {
+        let isCancelled = false;
+        setError(null);
+        const errorListener = mapProvider.addErrorListener(message => {
+            if (!isCancelled) {
+                setError(message);
+            }
+        });
+        mapProvider.loadAsync()
+            .then(() => {
+                if (!isCancelled) {
+                    setLoadedMapProvider(mapProvider);
+                }
+            })
+            .catch(err => {
+                if (!isCancelled) {
+                    setError(err.message);
+                }
+            });
+        return () => {
+            isCancelled = true;
+            errorListener.remove();
+        };
+    }, [mapProvider]);
 
-        if (!GOOGLE_KEY) {
-            setError('Google Maps API key not found. Please set VESPER_GOOGLE_API in custom properties.');
+    // Initialize the map once the provider is loaded; switching providers replaces it
+    useEffect(() => {
+        if (!mapsLoaded || !mapContainerRef.current || !requirementsTable || !listingsTable) {
             return;
         }
 
-        // Create script element
-        const script = document.createElement('script');
-        script.src = `https://maps.googleapis.com/maps/api/js?key=${GOOGLE_KEY}`;
-        script.async = true;
-        script.defer = true;
-        script.onload = () => setMapsLoaded(true);
-        script.onerror = () => setError('Failed to load Google Maps API');
+        const map = mapProvider.createMap(mapContainerRef.current, {
+            zoom: 5,
+            center: { lat: 40.62999850026765, lng: -99.83076746904716 },
+        });
+        mapInstanceRef.current = map;
+
+        // Info window content is rendered into this node through a React portal
+        const contentNode = document.createElement('div');
+        infoWindowRef.current = mapProvider.createPopup(map, {
+            content: contentNode,
+            onClose: () => {
+                openInfoWindowIdRef.current = null;
+                setInfoWindowTarget(null);
+            },
+        });
+        setInfoWindowNode(contentNode);
 
-        document.head.appendChild(script);
+        // Track the viewport so the listing panel can show only what's on the map
+        const idleListener = map.addListener('idle', () => {
+            setMapBounds(map.getBounds());
+        });
 
+        const requirementLayers = requirementLayersRef.current;
+        const listingMarkers = listingMarkersRef.current;
         return () => {
-            // Cleanup script if component unmounts
-            if (script.parentNode) {
-                script.parentNode.removeChild(script);
-            }
+            idleListener.remove();
+            map.destroy();
+            // Markers and shapes belonged to the old map, so the next one redraws them all
+            requirementLayers.clear();
+            listingMarkers.clear();
+            clustererRef.current = null;
+            focusLinesRef.current = [];
+            hasFitBoundsRef.current = false;
+            mapInstanceRef.current = null;
+            infoWindowRef.current = null;
+            openInfoWindowIdRef.current = null;
+            setInfoWindowTarget(null);
+            setInfoWindowNode(null);
+            setRepositioning(null);
+            setSelectionArea(null);
         };
-    }, [customPropertyValueByKey.VESPER_GOOGLE_API]);
+    }, [mapsLoaded, mapProvider, requirementsTable, listingsTable]);
+
+    // Coordinate and manual location fields used when a marker is dragged to a new position
+    const {
+        requirementLatitudeField, requirementLongitudeField, requirementManualLocationField,
+        listingLatitudeField, listingLongitudeField, listingManualLocationField,
+    } = customPropertyValueByKey;
+    const requirementLocationFields = useMemo(() => ({
+        latitudeField: requirementLatitudeField,
+        longitudeField: requirementLongitudeField,
+        manualLocationField: requirementManualLocationField,
+    }), [requirementLatitudeField, requirementLongitudeField, requirementManualLocationField]);
+    const listingLocationFields = useMemo(() => ({
+        latitudeField: listingLatitudeField,
+        longitudeField: listingLongitudeField,
+        manualLocationField: listingManualLocationField,
+    }), [listingLatitudeField, listingLongitudeField, listingManualLocationField]);
 
-    // Initialize map and markers
+    // Apply the map style preset, following Airtable's light/dark color scheme
+    const { mapStyle, mapStylesJson } = customPropertyValueByKey;
     useEffect(() => {
-        if (!mapsLoaded || !mapContainerRef.current || !requirementsTable || !listingsTable) {
+        if (!mapsLoaded || !mapInstanceRef.current) {
             return;
         }
+        mapInstanceRef.current.applyStyle(mapStyle, mapStylesJson, colorScheme);
+    }, [mapsLoaded, mapProvider, mapStyle, mapStylesJson, colorScheme]);
 
-        // Initialize map if not already initialized
-        if (!mapInstanceRef.current) {
-            mapInstanceRef.current = new window.google.maps.Map(mapContainerRef.current, {
-                zoom: 5,
-                center: { lat: 40.62999850026765, lng: -99.83076746904716 },
-                mapTypeControl: true,
-                streetViewControl: false,
-                gestureHandling: 'greedy', // Allows scroll wheel zoom without Ctrl/Cmd
-                scrollwheel: true,
-            });
-
-            // Initialize InfoWindow without default close button
-            infoWindowRef.current = new window.google.maps.InfoWindow({
-                disableAutoPan: false,
-            });
+    // Resolve every record's address to a position, from the geocode cache when possible
+    useEffect(() => {
+        if (!mapsLoaded || !requirementsTable || !listingsTable) {
+            return;
         }
 
-        // Clear existing markers and circles
-        markersRef.current.forEach(marker => marker.setMap(null));
-        markersRef.current = [];
-        circlesRef.current.forEach(circle => circle.setMap(null));
-        circlesRef.current = [];
+        const geocodeQueue = createGeocodeQueue(mapProvider.createGeocoder(), mapProvider.geocodeQueueOptions);
+        const sessionGeocodes = sessionGeocodesRef.current;
+        const resolved = {};
+        let geocodeTotal = 0;
+        let geocodeDone = 0;
+        let flushTimer = null;
+        const failures = [];
+        setGeocodeProgress(null);
+        setGeocodeFailures([]);
 
-        const bounds = new window.google.maps.LatLngBounds();
-        const geocoder = new window.google.maps.Geocoder();
-        let markerCount = 0;
-        const totalRecords = (requirementRecords?.length || 0) + (listingRecords?.length || 0);
+        // Geocode cache fields for each table (all optional)
+        const sources = [
+            {
+                kind: 'Requirement',
+                table: requirementsTable,
+                records: requirementRecords,
+                addressField: customPropertyValueByKey.requirementAddressField,
+                cacheFields: {
+                    latitudeField: customPropertyValueByKey.requirementLatitudeField,
+                    longitudeField: customPropertyValueByKey.requirementLongitudeField,
+                    cacheField: customPropertyValueByKey.requirementGeocodeCacheField,
+                },
+                locationFields: requirementLocationFields,
+                cacheUpdates: [],
+            },
+            {
+                kind: 'Listing',
+                table: listingsTable,
+                records: listingRecords,
+                addressField: customPropertyValueByKey.listingAddressField,
+                cacheFields: {
+                    latitudeField: customPropertyValueByKey.listingLatitudeField,
+                    longitudeField: customPropertyValueByKey.listingLongitudeField,
+                    cacheField: customPropertyValueByKey.listingGeocodeCacheField,
+                },
+                locationFields: listingLocationFields,
+                cacheUpdates: [],
+            },
+        ];
+
+        const reportFailure = (source, record, address, status) => {
+            failures.push({ kind: source.kind, table: source.table, record, address, status });
+            setGeocodeFailures([...failures]);
+        };
 
-        // Function to fit bounds only once after all markers are loaded
-        const checkAndFitBounds = () => {
-            markerCount++;
-            if (markerCount === totalRecords && !bounds.isEmpty()) {
-                mapInstanceRef.current.fitBounds(bounds);
+        // Batch position updates so the markers aren't rebuilt for every single geocode
+        const flushResolved = () => {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+            setLocationsById({ ...resolved });
+        };
+        const scheduleFlush = () => {
+            if (!flushTimer) {
+                flushTimer = setTimeout(flushResolved, 250);
             }
         };
 
-        // Add requirement markers (blue stars) - geocode addresses
-        if (requirementRecords && requirementsTable) {
-            requirementRecords.forEach((record, index) => {
+        const queueCacheUpdate = (source, record, address, position) => {
+            if (!hasGeocodeCacheFields(source.cacheFields)) {
+                return;
+            }
+            const cellValues = buildCacheFields(source.cacheFields, address, position);
+            if (needsCacheUpdate(record, source.cacheFields, cellValues)) {
+                source.cacheUpdates.push({ id: record.id, fields: cellValues });
+            }
+        };
+
+        // Fit the map (first pass only) and save the cache once every queued geocode has finished
+        const finishIfDone = () => {
+            if (geocodeDone < geocodeTotal) {
+                return;
+            }
+            flushResolved();
+
+            const positions = Object.values(resolved);
+            if (positions.length > 0 && mapInstanceRef.current && !hasFitBoundsRef.current) {
+                mapInstanceRef.current.fitPositions(positions);
+                hasFitBoundsRef.current = true;
+            }
+
+            sources.forEach(source => {
+                writeCacheUpdatesAsync(source.table, source.cacheUpdates)
+                    .catch(err => console.warn(`Failed to save ${source.kind.toLowerCase()} geocode cache:`, err));
+            });
+        };
+
+        sources.forEach(source => {
+            (source.records || []).forEach((record, index) => {
                 try {
-                    // Get address field from custom properties
-                    const addressField = customPropertyValueByKey.requirementAddressField;
-                    const addressValue = addressField ? record.getCellValue(addressField.id) : null;
-
-                    let address = null;
-                    if (addressValue) {
-                        if (typeof addressValue === 'string') {
-                            address = addressValue.trim();
-                        } else if (Array.isArray(addressValue) && addressValue.length > 0) {
-                            address = addressValue[0];
+                    // Manually placed records are never geocoded
+                    const manualLocation = getManualLocation(record, source.locationFields);
+                    if (manualLocation) {
+                        resolved[record.id] = manualLocation;
+                        return;
+                    }
+
+                    // The string form covers text, lookup and formula address fields alike
+                    // (lookups used to yield only their first raw value)
+                    const address = source.addressField ? record.getCellValueAsString(source.addressField.id).trim() : '';
+                    if (!address) {
+                        if (source.kind === 'Requirement') {
+                            console.warn('No address found for requirement record', index + 1);
                         }
+                        return;
                     }
 
-                    // Get the site code (record name) for the requirement
-                    const siteCode = record.name || '';
-
-                    if (address) {
-                        geocoder.geocode({ address: address }, (results, status) => {
-                            if (status === 'OK' && results[0]) {
-                                const position = results[0].geometry.location;
-
-                                const marker = new window.google.maps.Marker({
-                                    position,
-                                    map: mapInstanceRef.current,
-                                    title: address,
-                                    icon: {
-                                        path: window.google.maps.SymbolPath.CIRCLE,
-                                        scale: 8,
-                                        fillColor: '#1976d2',
-                                        fillOpacity: 1,
-                                        strokeColor: '#ffffff',
-                                        strokeWeight: 1.6,
-                                    },
-                                });
-
-                                // Create info window content for requirement
-                                const requirementContentString = `
-                                    <div style="
-                                        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                                        padding: 16px;
-                                        padding-top: 12px;
-                                        min-width: 220px;
-                                        max-width: 280px;
-                                        position: relative;
-                                    ">
-                                        <button onclick="document.querySelector('.gm-ui-hover-effect').click()" style="
-                                            position: absolute;
-                                            top: 0.5rem;
-                                            right: 0.5rem;
-                                            width: 2rem;
-                                            height: 2rem;
-                                            display: flex;
-                                            align-items: center;
-                                            justify-content: center;
-                                            background: white;
-                                            border: none;
-                                            border-radius: 3px;
-                                            cursor: pointer;
-                                            box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
-                                            font-size: 18px;
-                                            color: #5f6368;
-                                            font-weight: 400;
-                                            transition: background 0.2s;
-                                        " onmouseover="this.style.background='#f1f3f4'" onmouseout="this.style.background='white'">
-                                            ×
-                                        </button>
-
-                                        <div style="
-                                            display: inline-block;
-                                            background-color: #e8eaed;
-                                            color: #3c4043;
-                                            padding: 4px 10px;
-                                            border-radius: 12px;
-                                            font-size: 0.875rem;
-                                            font-weight: 500;
-                                            margin-top: 8px;
-                                            margin-bottom: 8px;
-                                        ">
-                                            ${siteCode}
-                                        </div>
-
-                                        <div style="
-                                            font-size: 1rem;
-                                            color: #202124;
-                                            padding-right: 24px;
-                                            line-height: 1.4;
-                                        ">
-                                            ${address}
-                                        </div>
-                                    </div>
-                                `;
-
-                                // Add click listener to requirement marker
-                                marker.addListener('click', () => {
-                                    infoWindowRef.current.setContent(requirementContentString);
-                                    infoWindowRef.current.open(mapInstanceRef.current, marker);
-                                });
-
-                                markersRef.current.push(marker);
-
-                                // Add 15-mile radius circle around requirement
-                                const circle = new window.google.maps.Circle({
-                                    center: position,
-                                    radius: 24140.16, // 15 miles in meters
-                                    map: mapInstanceRef.current,
-                                    fillColor: '#1976d2',
-                                    fillOpacity: 0.15,
-                                    strokeColor: '#1976d2',
-                                    strokeOpacity: 0.3,
-                                    strokeWeight: 1,
-                                });
-
-                                circlesRef.current.push(circle);
-
-                                bounds.extend(position);
-                                checkAndFitBounds();
-                            } else {
-                                console.warn('Geocoding failed for:', address, status);
-                                checkAndFitBounds();
-                            }
-                        });
-                    } else {
-                        console.warn('No address found for requirement record', index + 1);
-                        checkAndFitBounds();
+                    const cachedLocation = getCachedLocation(record, address, source.cacheFields);
+                    if (cachedLocation) {
+                        resolved[record.id] = cachedLocation;
+                        return;
+                    }
+
+                    // Already geocoded earlier in this session but not (yet) saved to the record
+                    const sessionResult = sessionGeocodes.get(normalizeAddress(address));
+                    if (sessionResult && sessionResult.position) {
+                        resolved[record.id] = sessionResult.position;
+                        queueCacheUpdate(source, record, address, sessionResult.position);
+                        return;
+                    }
+                    if (sessionResult) {
+                        reportFailure(source, record, address, sessionResult.status);
+                        return;
                     }
+
+                    geocodeTotal++;
+                    geocodeQueue.enqueue(address, (status, position) => {
+                        geocodeDone++;
+                        setGeocodeProgress({ done: geocodeDone, total: geocodeTotal });
+
+                        if (status === 'OK' && position) {
+                            sessionGeocodes.set(normalizeAddress(address), { position });
+                            resolved[record.id] = position;
+                            queueCacheUpdate(source, record, address, position);
+                            scheduleFlush();
+                        } else {
+                            // Rate limits may clear up, so only remember final failures
+                            if (status !== 'OVER_QUERY_LIMIT') {
+                                sessionGeocodes.set(normalizeAddress(address), { status });
+                            }
+                            reportFailure(source, record, address, status);
+                        }
+                        finishIfDone();
+                    });
                 } catch (err) {
-                    console.warn('Error processing requirement record:', err);
-                    checkAndFitBounds();
+                    console.warn(`Error processing ${source.kind.toLowerCase()} record:`, err);
+                    reportFailure(source, record, null, 'ERROR');
                 }
             });
+        });
+
+        setLocationsById({ ...resolved });
+        if (geocodeTotal > 0) {
+            setGeocodeProgress({ done: geocodeDone, total: geocodeTotal });
+        } else {
+            finishIfDone();
         }
 
-        // Add listing markers (red) - geocode addresses
-        if (listingRecords && listingsTable) {
-            listingRecords.forEach(record => {
-                try {
-                    // Get fields from custom properties
-                    const addressField = customPropertyValueByKey.listingAddressField;
-                    const urlField = customPropertyValueByKey.listingUrlField;
-                    const distanceField = customPropertyValueByKey.listingDistanceField;
-                    const driveTimeField = customPropertyValueByKey.listingDriveTimeField;
-                    const requirementsField = customPropertyValueByKey.listingRequirementsField;
-                    const imageUrlField = customPropertyValueByKey.listingImageUrlField;
-                    const propertyTypeField = customPropertyValueByKey.listingPropertyTypeField;
-
-                    const address = addressField ? record.getCellValueAsString(addressField.id) : null;
-                    const url = urlField ? record.getCellValueAsString(urlField.id) : null;
-                    const distance = distanceField ? record.getCellValue(distanceField.id) : null;
-                    const driveTime = driveTimeField ? record.getCellValue(driveTimeField.id) : null;
-                    const imageUrl = imageUrlField ? record.getCellValueAsString(imageUrlField.id) : null;
-                    const propertyType = propertyTypeField ? record.getCellValueAsString(propertyTypeField.id) : null;
-
-                    // Get Requirements field value (it's a linked record field)
-                    let requirementName = '';
-                    if (requirementsField) {
-                        const requirementsValue = record.getCellValue(requirementsField.id);
-                        if (requirementsValue && requirementsValue.length > 0) {
-                            requirementName = requirementsValue[0].name || '';
-                        }
-                    }
+        return () => {
+            geocodeQueue.cancel();
+            clearTimeout(flushTimer);
+        };
+    }, [
+        mapsLoaded, mapProvider, requirementRecords, listingRecords, requirementsTable, listingsTable,
+        customPropertyValueByKey.requirementAddressField, customPropertyValueByKey.listingAddressField,
+        customPropertyValueByKey.requirementLatitudeField, customPropertyValueByKey.requirementLongitudeField,
+        customPropertyValueByKey.requirementGeocodeCacheField, customPropertyValueByKey.listingLatitudeField,
+        customPropertyValueByKey.listingLongitudeField, customPropertyValueByKey.listingGeocodeCacheField,
+        requirementLocationFields, listingLocationFields,
+    ]);
 
-                    if (address) {
-                        geocoder.geocode({ address: address }, (results, status) => {
-                            if (status === 'OK' && results[0]) {
-                                const position = results[0].geometry.location;
-
-                                const marker = new window.google.maps.Marker({
-                                    position,
-                                    map: mapInstanceRef.current,
-                                    icon: {
-                                        path: window.google.maps.SymbolPath.CIRCLE,
-                                        scale: 5.2,
-                                        fillColor: '#f74022',
-                                        fillOpacity: 1,
-                                        strokeColor: '#ffffff',
-                                        strokeWeight: 1.04,
-                                    },
-                                });
-
-                                // Feature flags for easy toggling
-                                const SHOW_IFRAME = false; // Set to false to disable iframe preview
-                                const IFRAME_HEIGHT = '250px'; // Adjust iframe height here
-
-                                // Create info window content matching the design
-                                const contentString = `
-                                    <div style="
-                                        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                                        padding: ${imageUrl ? '0.5rem 0 0 0' : '16px'};
-                                        padding-top: ${imageUrl ? '0.5rem' : '12px'};
-                                        min-width: 280px;
-                                        max-width: 320px;
-                                        position: relative;
-                                    ">
-                                        <button onclick="document.querySelector('.gm-ui-hover-effect').click()" style="
-                                            position: absolute;
-                                            top: 8px;
-                                            right: 8px;
-                                            width: 2rem;
-                                            height: 2rem;
-                                            display: flex;
-                                            align-items: center;
-                                            justify-content: center;
-                                            background: white;
-                                            border: none;
-                                            border-radius: 3px;
-                                            cursor: pointer;
-                                            box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
-                                            font-size: 18px;
-                                            color: #5f6368;
-                                            font-weight: 400;
-                                            transition: background 0.2s;
-                                            z-index: 10;
-                                        " onmouseover="this.style.background='#f1f3f4'" onmouseout="this.style.background='white'">
-                                            ×
-                                        </button>
-
-                                        ${imageUrl ? `
-                                            <img src="${imageUrl}" alt="Listing" style="
-                                                width: 100%;
-                                                height: 180px;
-                                                object-fit: cover;
-                                                border-radius: 8px 8px 0 0;
-                                                margin-bottom: 12px;
-                                                margin-top: 0;
-                                                display: block;
-                                            " onerror="this.style.display='none'">
-                                        ` : ''}
-
-                                        <div style="padding: ${imageUrl ? '0 16px 16px 16px' : '0'};">
-                                            <div style="display: flex; gap: 8px; flex-wrap: wrap; margin-bottom: 12px; margin-top: 8px;">
-                                                ${requirementName ? `
-                                                    <div style="
-                                                        background-color: #e8eaed;
-                                                        color: #000;
-                                                        padding: 4px 12px;
-                                                        border-radius: 4px;
-                                                        font-size: 12px;
-                                                        font-weight: 600;
-                                                        display: inline-block;
-                                                    ">
-                                                        ${requirementName}
-                                                    </div>
-                                                ` : ''}
-                                                ${propertyType ? `
-                                                    <div style="
-                                                        background-color: ${propertyType.toLowerCase().includes('parking') ? '#fff3cd' : propertyType.toLowerCase().includes('land') ? '#d1ecf1' : '#d4edda'};
-                                                        color: ${propertyType.toLowerCase().includes('parking') ? '#856404' : propertyType.toLowerCase().includes('land') ? '#0c5460' : '#155724'};
-                                                        padding: 4px 12px;
-                                                        border-radius: 4px;
-                                                        font-size: 12px;
-                                                        font-weight: 600;
-                                                        display: inline-block;
-                                                        border: 1px solid ${propertyType.toLowerCase().includes('parking') ? '#ffeaa7' : propertyType.toLowerCase().includes('land') ? '#bee5eb' : '#c3e6cb'};
-                                                    ">
-                                                        ${propertyType}
-                                                    </div>
-                                                ` : ''}
-                                            </div>
-
-                                        <div style="
-                                            font-size: 16px;
-                                            font-weight: 600;
-                                            margin-bottom: 8px;
-                                            margin-top: ${requirementName ? '0' : '8px'};
-                                            color: #202124;
-                                            padding-right: 24px;
-                                        ">
-                                            ${address}
-                                        </div>
-
-                                        ${distance ? `
-                                            <div style="
-                                                font-size: 14px;
-                                                color: #5f6368;
-                                                margin-bottom: 4px;
-                                            ">
-                                                <strong>Drive Distance:</strong> ${distance} mi
-                                            </div>
-                                        ` : ''}
-
-                                        ${driveTime ? `
-                                            <div style="
-                                                font-size: 14px;
-                                                color: #5f6368;
-                                                margin-bottom: 16px;
-                                            ">
-                                                <strong>Drive Time:</strong> ${driveTime} min
-                                            </div>
-                                        ` : ''}
-
-                                            ${url ? `
-                                                <a href="${url}"
-                                                   target="_blank"
-                                                   rel="noopener noreferrer"
-                                                   style="
-                                                       display: block;
-                                                       background-color: #adc9ed;
-                                                       color: #000;
-                                                       text-align: center;
-                                                       padding: 12px 16px;
-                                                       border-radius: 8px;
-                                                       text-decoration: none;
-                                                       font-weight: 600;
-                                                       font-size: 14px;
-                                                       margin-bottom: ${SHOW_IFRAME ? '16px' : '0'};
-                                                   ">
-                                                    Visit listing
-                                                </a>
-                                            ` : ''}
-
-                                            ${url && SHOW_IFRAME ? `
-                                                <div style="
-                                                    margin-top: 8px;
-                                                    border-radius: 8px;
-                                                    overflow: hidden;
-                                                    border: 1px solid #e0e0e0;
-                                                ">
-                                                    <iframe
-                                                        src="${url}"
-                                                        style="
-                                                            width: 100%;
-                                                            height: ${IFRAME_HEIGHT};
-                                                            border: none;
-                                                            display: block;
-                                                        "
-                                                        sandbox="allow-scripts allow-same-origin"
-                                                        title="Listing Preview"
-                                                    ></iframe>
-                                                </div>
-                                            ` : ''}
-                                        </div>
-                                    </div>
-                                `;
-
-                                // Add click listener
-                                marker.addListener('click', () => {
-                                    infoWindowRef.current.setContent(contentString);
-                                    infoWindowRef.current.open(mapInstanceRef.current, marker);
-                                });
-
-                                markersRef.current.push(marker);
-                                bounds.extend(position);
-                                checkAndFitBounds();
-                            } else {
-                                console.warn('Geocoding failed for:', address, status);
-                                checkAndFitBounds();
-                            }
-                        });
-                    } else {
-                        checkAndFitBounds();
-                    }
-                } catch (err) {
-                    console.warn('Error processing listing record:', err);
-                    checkAndFitBounds();
+    // Requirement search areas and each listing's position relative to them
+    const { requirementRadiusField, defaultRadius, radiusUnit, radiusRings } = customPropertyValueByKey;
+    const radiusSettings = useMemo(
+        () => getRadiusSettings({ requirementRadiusField, defaultRadius, radiusUnit, radiusRings }),
+        [requirementRadiusField, defaultRadius, radiusUnit, radiusRings]
+    );
+    const requirementAreas = useMemo(
+        () => buildRequirementAreas(requirementRecords, locationsById, radiusSettings),
+        [requirementRecords, locationsById, radiusSettings]
+    );
+    const shouldCluster = customPropertyValueByKey.clusterListings !== false;
+    const radiusChecks = useMemo(
+        () => checkListingsAgainstRadius(listingRecords, locationsById, requirementAreas, customPropertyValueByKey.listingRequirementsField),
+        [listingRecords, locationsById, requirementAreas, customPropertyValueByKey.listingRequirementsField]
+    );
+
+    // Sidebar filters narrow the plotted listings and, for a picked requirement, its circle
+    const {
+        listingAddressField, listingDistanceField, listingDriveTimeField,
+        listingRequirementsField, listingPropertyTypeField, listingImageUrlField,
+    } = customPropertyValueByKey;
+    const filterFields = useMemo(() => ({
+        addressField: listingAddressField,
+        distanceField: listingDistanceField,
+        driveTimeField: listingDriveTimeField,
+        requirementsField: listingRequirementsField,
+        propertyTypeField: listingPropertyTypeField,
+    }), [listingAddressField, listingDistanceField, listingDriveTimeField, listingRequirementsField, listingPropertyTypeField]);
+    // Drive distances are read and written in the unit the distance field's name declares
+    // (e.g. "Drive Distance (mi)"), else in the radius unit
+    const driveDistanceUnit = getFieldDistanceUnit(listingDistanceField, radiusSettings.unit);
+
+    // Marker colors come from the marker color field; its legend can hide categories
+    const { listingMarkerColorField, markerGradientStart, markerGradientEnd } = customPropertyValueByKey;
+    const markerColorScale = useMemo(
+        () => buildMarkerColorScale(listingMarkerColorField, listingRecords, {
+            gradientStart: markerGradientStart,
+            gradientEnd: markerGradientEnd,
+        }),
+        [listingMarkerColorField, listingRecords, markerGradientStart, markerGradientEnd]
+    );
+    const markerColorFieldId = listingMarkerColorField ? listingMarkerColorField.id : null;
+    useEffect(() => {
+        setHiddenMarkerCategories([]);
+    }, [markerColorFieldId]);
+    const markerCategoryCounts = useMemo(() => {
+        const counts = new Map();
+        (listingRecords || []).forEach(record => {
+            const key = markerColorScale.getCategoryKey(record);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        return counts;
+    }, [listingRecords, markerColorScale]);
+
+    // Focus mode narrows the map to one requirement and the listings linked to it
+    const focusedRequirement = focusedRequirementId && requirementRecords
+        ? requirementRecords.find(record => record.id === focusedRequirementId) || null
+        : null;
+
+    const visibleListingRecords = useMemo(() => {
+        let visible = filterListingRecords(listingRecords, filters, filterFields);
+        if (focusedRequirementId) {
+            visible = visible.filter(record => getLinkedRequirementIds(record, listingRequirementsField).includes(focusedRequirementId));
+        }
+        if (filters.boundaryKey) {
+            visible = visible.filter(record => {
+                const position = locationsById[record.id];
+                return position && boundaryContains(boundaries, filters.boundaryKey, position);
+            });
+        }
+        if (markerColorScale.kind === 'category' && hiddenMarkerCategories.length > 0) {
+            visible = visible.filter(record => !hiddenMarkerCategories.includes(markerColorScale.getCategoryKey(record)));
+        }
+        return visible;
+    }, [
+        listingRecords, filters, filterFields, focusedRequirementId, listingRequirementsField,
+        locationsById, boundaries, markerColorScale, hiddenMarkerCategories,
+    ]);
+    const visibleRequirementAreas = useMemo(() => {
+        const requirementId = focusedRequirementId || filters.requirementId;
+        if (!requirementId) {
+            return requirementAreas;
+        }
+        return new Map([...requirementAreas].filter(([id]) => id === requirementId));
+    }, [requirementAreas, filters.requirementId, focusedRequirementId]);
+
+    // The heatmap replaces the listing markers while it is on
+    const markerListingRecords = useMemo(
+        () => (heatmapSettings.isVisible ? [] : visibleListingRecords),
+        [heatmapSettings.isVisible, visibleListingRecords]
+    );
+
+    // Leave focus mode when its requirement is deleted
+    useEffect(() => {
+        if (focusedRequirementId && requirementRecords && !requirementRecords.some(record => record.id === focusedRequirementId)) {
+            setFocusedRequirementId(null);
+        }
+    }, [focusedRequirementId, requirementRecords]);
+
+    // Draw requirement and listing markers
+    useEffect(() => {
+        if (!mapsLoaded || !mapInstanceRef.current) {
+            return;
+        }
+
+        const { unit: radiusUnit, rings: radiusRings } = radiusSettings;
+
+        // Markers are reconciled by record ID: each one carries a signature of everything it
+        // displays, and only records whose signature changed are rebuilt
+        const seenRequirementIds = new Set();
+        const seenListingIds = new Set();
+        const newListingMarkers = [];
+        let listingMarkersChanged = false;
+
+        const removeRequirementLayer = (recordId) => {
+            const layer = requirementLayersRef.current.get(recordId);
+            layer.marker.setMap(null);
+            layer.circles.forEach(circle => circle.setMap(null));
+            requirementLayersRef.current.delete(recordId);
+        };
+        const removeListingMarker = (recordId) => {
+            const entry = listingMarkersRef.current.get(recordId);
+            if (clustererRef.current) {
+                clustererRef.current.removeMarker(entry.marker, true);
+            }
+            entry.marker.setMap(null);
+            listingMarkersRef.current.delete(recordId);
+            listingMarkersChanged = true;
+        };
+
+        // Add requirement markers (blue circles) with their search radius
+        visibleRequirementAreas.forEach(({ record, position, radiusMeters }) => {
+            const address = customPropertyValueByKey.requirementAddressField
+                ? record.getCellValueAsString(customPropertyValueByKey.requirementAddressField.id).trim()
+                : '';
+
+            seenRequirementIds.add(record.id);
+            const isManual = isManualLocation(record, requirementLocationFields);
+            const signature = JSON.stringify([position, radiusMeters, radiusRings, radiusUnit, address, isManual]);
+            const existingLayer = requirementLayersRef.current.get(record.id);
+            if (existingLayer && existingLayer.signature === signature) {
+                return;
+            }
+            if (existingLayer) {
+                removeRequirementLayer(record.id);
+            }
+
+            const marker = mapProvider.createMarker({
+                position,
+                map: mapInstanceRef.current,
+                title: isManual ? `${address} (manually placed)` : address,
+                icon: {
+                    scale: 8,
+                    fillColor: '#1976d2',
+                    fillOpacity: 1,
+                    strokeColor: '#ffffff',
+                    strokeWeight: 1.6,
+                },
+                label: isManual ? manualLocationLabel('#ffffff') : null,
+            });
+
+            const openInfoWindow = () => {
+                infoWindowRef.current.open(marker);
+                openInfoWindowIdRef.current = record.id;
+                setInfoWindowTarget({ kind: 'requirement', recordId: record.id });
+            };
+
+            // Clicking a requirement marker focuses the map on it and its linked listings
+            marker.addListener('click', () => {
+                openInfoWindow();
+                shouldFitFocusRef.current = true;
+                setFocusedRequirementId(record.id);
+            });
+
+            const circles = [];
+
+            // Add search radius circle around requirement
+            const circle = mapProvider.createCircle({
+                center: position,
+                radius: radiusMeters,
+                map: mapInstanceRef.current,
+                fillColor: '#1976d2',
+                fillOpacity: 0.15,
+                strokeColor: '#1976d2',
+                strokeOpacity: 0.3,
+                strokeWeight: 1,
+                clickable: false,
+            });
+
+            circles.push(circle);
+
+            // Extra rings fade out the further they are from the requirement
+            radiusRings.forEach((ringRadius, ringIndex) => {
+                const opacityScale = (radiusRings.length - ringIndex) / radiusRings.length;
+                const ring = mapProvider.createCircle({
+                    center: position,
+                    radius: toMeters(ringRadius, radiusUnit),
+                    map: mapInstanceRef.current,
+                    fillColor: '#1976d2',
+                    fillOpacity: 0.08 * opacityScale,
+                    strokeColor: '#1976d2',
+                    strokeOpacity: 0.5 * opacityScale,
+                    strokeWeight: 1,
+                    clickable: false,
+                });
+                circles.push(ring);
+            });
+
+            requirementLayersRef.current.set(record.id, { marker, circles, signature });
+
+            // Keep an info window that was open on the previous version of this marker open
+            if (openInfoWindowIdRef.current === record.id) {
+                openInfoWindow();
+            }
+        });
+
+        // Add listing markers (red)
+        markerListingRecords.forEach(record => {
+            const position = locationsById[record.id];
+            if (!position) {
+                return;
+            }
+
+            try {
+                const propertyTypeField = customPropertyValueByKey.listingPropertyTypeField;
+                const propertyType = propertyTypeField ? record.getCellValueAsString(propertyTypeField.id) : null;
+
+                // Listings outside every linked requirement's radius are drawn hollow
+                const radiusCheck = radiusChecks.get(record.id);
+                const isOutsideRadius = Boolean(radiusCheck && !radiusCheck.isWithin);
+
+                // Listings serving several requirements are drawn larger with a blue outline
+                const isMultiRequirement = getLinkedRequirementIds(record, customPropertyValueByKey.listingRequirementsField).length > 1;
+
+                // Info window content renders from current record data, so only what
+                // the marker itself shows is part of its signature
+                seenListingIds.add(record.id);
+                const color = markerColorScale.getColor(record);
+                const shape = markerColorScale.getShape(record);
+                const isManual = isManualLocation(record, listingLocationFields);
+                const signature = JSON.stringify([position, propertyType, color, shape, isOutsideRadius, isMultiRequirement, isManual, shouldCluster]);
+                const existing = listingMarkersRef.current.get(record.id);
+                if (existing && existing.signature === signature) {
+                    return;
+                }
+                if (existing) {
+                    removeListingMarker(record.id);
                 }
+
+                const icon = {
+                    shape,
+                    scale: isMultiRequirement ? 6.5 : 5.2,
+                    fillColor: isOutsideRadius ? '#ffffff' : color,
+                    fillOpacity: 1,
+                    strokeColor: isOutsideRadius ? color : (isMultiRequirement ? '#1976d2' : '#ffffff'),
+                    strokeWeight: isOutsideRadius || isMultiRequirement ? 2 : 1.04,
+                };
+                // Clustered markers are added to the map by the clusterer instead
+                const marker = mapProvider.createMarker({
+                    position,
+                    map: shouldCluster ? null : mapInstanceRef.current,
+                    icon,
+                    label: isManual ? manualLocationLabel(isOutsideRadius ? color : '#ffffff') : null,
+                    title: isManual ? 'Manually placed' : undefined,
+                });
+                markerCategoriesRef.current.set(marker, propertyType);
+
+                const openInfoWindow = () => {
+                    infoWindowRef.current.open(marker);
+                    openInfoWindowIdRef.current = record.id;
+                    setInfoWindowTarget({ kind: 'listing', recordId: record.id });
+                };
+
+                // Add click listener
+                marker.addListener('click', () => {
+                    openInfoWindow();
+                    setSelectedListingId(record.id);
+                });
+
+                newListingMarkers.push(marker);
+                listingMarkersChanged = true;
+                listingMarkersRef.current.set(record.id, { marker, icon, openInfoWindow, signature });
+
+                if (openInfoWindowIdRef.current === record.id) {
+                    openInfoWindow();
+                }
+            } catch (err) {
+                console.warn('Error processing listing record:', err);
+            }
+        });
+
+        // Drop records that were deleted or filtered out
+        [...requirementLayersRef.current.keys()]
+            .filter(recordId => !seenRequirementIds.has(recordId))
+            .forEach(removeRequirementLayer);
+        [...listingMarkersRef.current.keys()]
+            .filter(recordId => !seenListingIds.has(recordId))
+            .forEach(removeListingMarker);
+
+        const openRecordId = openInfoWindowIdRef.current;
+        if (openRecordId && !requirementLayersRef.current.has(openRecordId) && !listingMarkersRef.current.has(openRecordId)) {
+            infoWindowRef.current.close();
+            openInfoWindowIdRef.current = null;
+            setInfoWindowTarget(null);
+        }
+
+        // Cluster listing markers only; requirement markers and circles stay as they are
+        if (shouldCluster) {
+            if (!clustererRef.current) {
+                clustererRef.current = mapProvider.createClusterer(
+                    mapInstanceRef.current,
+                    (marker) => markerCategoriesRef.current.get(marker)
+                );
+            }
+            if (listingMarkersChanged) {
+                clustererRef.current.addMarkers(newListingMarkers, true);
+                clustererRef.current.render();
+            }
+        } else if (clustererRef.current) {
+            clustererRef.current.setMap(null);
+            clustererRef.current = null;
+        }
+    }, [
+        mapsLoaded, mapProvider, markerListingRecords, locationsById, visibleRequirementAreas, radiusChecks, radiusSettings, shouldCluster,
+        markerColorScale,
+        customPropertyValueByKey.requirementAddressField, customPropertyValueByKey.listingPropertyTypeField,
+        customPropertyValueByKey.listingRequirementsField, requirementLocationFields, listingLocationFields,
+    ]);
+
+    // In focus mode, connect the requirement to each of its listings and fit the map to the group
+    useEffect(() => {
+        if (!mapsLoaded || !mapInstanceRef.current) {
+            return;
+        }
+        focusLinesRef.current.forEach(line => line.setMap(null));
+        focusLinesRef.current = [];
+
+        const area = focusedRequirementId ? requirementAreas.get(focusedRequirementId) : null;
+        if (!area) {
+            return;
+        }
+
+        const positions = [area.position];
+        visibleListingRecords.forEach(record => {
+            const position = locationsById[record.id];
+            if (!position) {
+                return;
+            }
+            positions.push(position);
+            focusLinesRef.current.push(mapProvider.createPolyline({
+                path: [area.position, position],
+                map: mapInstanceRef.current,
+                strokeColor: '#1976d2',
+                strokeOpacity: 0.6,
+                strokeWeight: 1,
+                clickable: false,
+            }));
+        });
+
+        if (shouldFitFocusRef.current) {
+            shouldFitFocusRef.current = false;
+            mapInstanceRef.current.fitPositions(positions);
+        }
+    }, [mapsLoaded, mapProvider, focusedRequirementId, requirementAreas, visibleListingRecords, locationsById]);
+
+    // While repositioning, the record's marker is draggable and dropping it saves the new location
+    useEffect(() => {
+        if (!repositioning) {
+            return;
+        }
+        const { kind, record, table, fields } = repositioning;
+        const listingMarkers = listingMarkersRef.current;
+        const entry = kind === 'requirement'
+            ? requirementLayersRef.current.get(record.id)
+            : listingMarkers.get(record.id);
+        if (!entry) {
+            setRepositioning(null);
+            return;
+        }
+
+        const { marker } = entry;
+        const originalPosition = marker.getPosition();
+        // Clustered listing markers are taken out of their cluster so they can be dragged
+        const wasClustered = !marker.getMap();
+        if (wasClustered) {
+            clustererRef.current.removeMarker(marker);
+            marker.setMap(mapInstanceRef.current);
+        }
+        marker.setDraggable(true);
+
+        let saved = false;
+        setRepositionStatus(null);
+        const listener = marker.addListener('dragend', (position) => {
+            setRepositionStatus('Saving location…');
+            saveManualLocationAsync(table, record, fields, position)
+                .then(() => {
+                    saved = true;
+                    setRepositionStatus(null);
+                })
+                .catch(err => {
+                    // The marker goes back to where it was when repositioning ends
+                    console.warn(`Failed to save ${kind} location:`, err);
+                    setRepositionStatus(`Could not save the ${kind} location`);
+                })
+                .finally(() => setRepositioning(null));
+        });
+
+        return () => {
+            listener.remove();
+            marker.setDraggable(false);
+            if (!saved) {
+                marker.setPosition(originalPosition);
+            }
+            // Markers replaced by a newer version in the meantime are already off the map
+            const isCurrent = kind === 'listing' && listingMarkers.get(record.id) === entry;
+            if (wasClustered && isCurrent && clustererRef.current) {
+                marker.setMap(null);
+                clustererRef.current.addMarker(marker);
+            }
+        };
+    }, [repositioning]);
+
+    // In "Add listing here" mode the next map click creates a listing at that point
+    const { listingGeocodeCacheField } = customPropertyValueByKey;
+    useEffect(() => {
+        if (!mapsLoaded || !isAddingListing || !mapInstanceRef.current) {
+            return;
+        }
+        const map = mapInstanceRef.current;
+        map.setCursor('crosshair');
+
+        const listener = map.addListener('click', (position) => {
+            setIsAddingListing(false);
+            setAddListingStatus('Adding listing…');
+            createListingAtAsync(listingsTable, position, {
+                geocoder: mapProvider.createGeocoder(),
+                requirementAreas,
+                fields: {
+                    addressField: listingAddressField,
+                    requirementsField: listingRequirementsField,
+                    cacheFields: {
+                        latitudeField: listingLatitudeField,
+                        longitudeField: listingLongitudeField,
+                        cacheField: listingGeocodeCacheField,
+                    },
+                },
+            })
+                .then(recordId => {
+                    setAddListingStatus('Listing added');
+                    setPendingExpandListingId(recordId);
+                })
+                .catch(err => {
+                    console.warn('Failed to add listing:', err);
+                    setAddListingStatus('Could not add listing');
+                });
+        });
+
+        return () => {
+            listener.remove();
+            map.setCursor(null);
+        };
+    }, [
+        mapsLoaded, mapProvider, isAddingListing, listingsTable, requirementAreas, listingAddressField, listingRequirementsField,
+        listingLatitudeField, listingLongitudeField, listingGeocodeCacheField,
+    ]);
+
+    // Open a newly added listing once it shows up in the records
+    useEffect(() => {
+        if (!pendingExpandListingId || !listingRecords) {
+            return;
+        }
+        const record = listingRecords.find(r => r.id === pendingExpandListingId);
+        if (record) {
+            setPendingExpandListingId(null);
+            if (listingsTable.hasPermissionToExpandRecords()) {
+                expandRecord(record);
+            }
+        }
+    }, [pendingExpandListingId, listingRecords, listingsTable]);
+
+    // Draw a rectangle or polygon; the listings inside it become the selection
+    useEffect(() => {
+        if (!mapsLoaded || !selectionTool || !mapInstanceRef.current) {
+            return;
+        }
+        const selection = startAreaSelection(mapProvider, mapInstanceRef.current, selectionTool, (area) => {
+            setSelectionArea(area);
+            setSelectionTool(null);
+        });
+        return () => selection.cancel();
+    }, [mapsLoaded, mapProvider, selectionTool]);
+
+    // The selection shape stays on the map until it is cleared or replaced
+    useEffect(() => {
+        if (!selectionArea) {
+            return;
+        }
+        return () => selectionArea.shape.setMap(null);
+    }, [selectionArea]);
+
+    const selectedListingRecords = useMemo(() => {
+        if (!selectionArea) {
+            return [];
+        }
+        return visibleListingRecords.filter(record => {
+            const position = locationsById[record.id];
+            return position && selectionArea.contains(position);
+        });
+    }, [selectionArea, visibleListingRecords, locationsById]);
+
+    // Draw the visible boundary layers as labelled polygons beneath the markers
+    useEffect(() => {
+        if (!mapsLoaded || !mapInstanceRef.current) {
+            return;
+        }
+        const shapes = [];
+        boundaryLayers
+            .filter(layer => !hiddenBoundaryLayerIds.includes(layer.id))
+            .forEach(layer => {
+                layer.polygons.forEach(polygon => {
+                    shapes.push(mapProvider.createPolygon({
+                        paths: getPolygonPaths(polygon),
+                        map: mapInstanceRef.current,
+                        strokeColor: layer.color,
+                        strokeOpacity: 0.8,
+                        strokeWeight: 1.5,
+                        fillColor: layer.color,
+                        fillOpacity: 0.08,
+                        clickable: false,
+                        zIndex: 0,
+                    }));
+                    shapes.push(mapProvider.createMarker({
+                        position: polygonLabelPosition(polygon),
+                        map: mapInstanceRef.current,
+                        icon: { scale: 0 },
+                        label: { text: polygon.name, color: layer.color, fontSize: '11px', fontWeight: '600' },
+                        clickable: false,
+                        zIndex: 0,
+                    }));
+                });
+            });
+        return () => shapes.forEach(shape => shape.setMap(null));
+    }, [mapsLoaded, mapProvider, boundaryLayers, hiddenBoundaryLayerIds]);
+
+    // Heatmap of the plotted listings, so it follows the filters, focus mode and boundaries
+    const { heatmapWeightField } = customPropertyValueByKey;
+    const heatmapPoints = useMemo(
+        () => buildHeatmapPoints(visibleListingRecords, locationsById, heatmapWeightField),
+        [visibleListingRecords, locationsById, heatmapWeightField]
+    );
+    useEffect(() => {
+        if (!mapsLoaded || !mapInstanceRef.current || !heatmapSettings.isVisible) {
+            return;
+        }
+        const heatmap = mapProvider.createHeatmap({
+            map: mapInstanceRef.current,
+            points: heatmapPoints,
+            radius: heatmapSettings.radius,
+            gradient: getHeatmapGradient(heatmapSettings.gradient),
+        });
+        return () => heatmap.setMap(null);
+    }, [mapsLoaded, mapProvider, heatmapPoints, heatmapSettings]);
+
+    // Draw the planned tour as a numbered route with each leg's drive time at its midpoint
+    const tourPlan = tour ? tour.plan : null;
+    useEffect(() => {
+        if (!mapsLoaded || !mapInstanceRef.current || !tourPlan) {
+            return;
+        }
+        const map = mapInstanceRef.current;
+        const positions = [tourPlan.start.position, ...tourPlan.legs.map(leg => leg.stop.position)];
+        const shapes = [mapProvider.createPolyline({
+            path: positions,
+            map,
+            strokeColor: '#6a1b9a',
+            strokeOpacity: 0.9,
+            strokeWeight: 3,
+            clickable: false,
+        })];
+        tourPlan.legs.forEach((leg, index) => {
+            shapes.push(mapProvider.createMarker({
+                position: leg.stop.position,
+                map,
+                icon: {
+                    scale: 9,
+                    fillColor: '#6a1b9a',
+                    fillOpacity: 1,
+                    strokeColor: '#ffffff',
+                    strokeWeight: 1.6,
+                },
+                label: { text: String(index + 1), color: '#ffffff', fontSize: '11px', fontWeight: '700' },
+                title: leg.stop.name,
+                zIndex: 1000,
+            }));
+            if (leg.durationSeconds !== null) {
+                const from = positions[index];
+                shapes.push(mapProvider.createMarker({
+                    position: { lat: (from.lat + leg.stop.position.lat) / 2, lng: (from.lng + leg.stop.position.lng) / 2 },
+                    map,
+                    icon: { scale: 0 },
+                    label: { text: formatDuration(leg.durationSeconds), color: '#6a1b9a', fontSize: '11px', fontWeight: '700' },
+                    clickable: false,
+                    zIndex: 1000,
+                }));
+            }
+        });
+        map.fitPositions(positions);
+        return () => shapes.forEach(shape => shape.setMap(null));
+    }, [mapsLoaded, mapProvider, tourPlan]);
+
+    // Rows for the listing panel, optionally limited to the current viewport
+    const listingRows = useMemo(() => {
+        const rows = [];
+        visibleListingRecords.forEach(record => {
+            const position = locationsById[record.id];
+            if (!position || (onlyInViewport && mapBounds && !mapBounds.contains(position))) {
+                return;
+            }
+
+            // Prefer the drive distance field, falling back to straight-line distance
+            const radiusCheck = radiusChecks.get(record.id);
+            const driveDistance = getNumericValue(record, listingDistanceField);
+            const distance = driveDistance !== null
+                ? driveDistance
+                : (radiusCheck ? fromMeters(radiusCheck.nearest.distanceMeters, driveDistanceUnit) : null);
+
+            rows.push({
+                id: record.id,
+                name: record.name || '',
+                address: listingAddressField ? record.getCellValueAsString(listingAddressField.id) : '',
+                imageUrl: listingImageUrlField ? toSafeUrl(record.getCellValueAsString(listingImageUrlField.id)) : null,
+                propertyType: listingPropertyTypeField ? record.getCellValueAsString(listingPropertyTypeField.id) : '',
+                driveTimeMinutes: getDriveTimeMinutes(record, listingDriveTimeField),
+                distance,
+                distanceUnitLabel: unitAbbreviation(driveDistanceUnit),
             });
+        });
+        return sortListingRows(rows, listSortBy);
+    }, [
+        visibleListingRecords, locationsById, onlyInViewport, mapBounds, radiusChecks, driveDistanceUnit, listSortBy,
+        listingAddressField, listingDistanceField, listingDriveTimeField, listingImageUrlField, listingPropertyTypeField,
+    ]);
+
+    // Enlarge the hovered row's marker, restoring the previously highlighted one
+    const highlightListingMarker = (recordId) => {
+        const previous = listingMarkersRef.current.get(highlightedListingIdRef.current);
+        if (previous) {
+            previous.marker.setIcon(previous.icon);
+            previous.marker.bringToFront(false);
         }
+        highlightedListingIdRef.current = recordId;
 
-    }, [mapsLoaded, requirementRecords, listingRecords, requirementsTable, listingsTable]);
+        const entry = recordId ? listingMarkersRef.current.get(recordId) : null;
+        if (entry) {
+            entry.marker.setIcon({ ...entry.icon, scale: entry.icon.scale * 1.6 });
+            entry.marker.bringToFront(true);
+        }
+    };
+
+    const focusListing = (recordId) => {
+        const entry = listingMarkersRef.current.get(recordId);
+        if (!entry) {
+            return;
+        }
+        setSelectedListingId(recordId);
+        const open = () => {
+            mapInstanceRef.current.panTo(entry.marker.getPosition());
+            entry.openInfoWindow();
+        };
+        // A marker inside a cluster isn't on the map until its cluster breaks up
+        if (clustererRef.current && !entry.marker.getMap()) {
+            clustererRef.current.showMarker(entry.marker, open);
+        } else {
+            open();
+        }
+    };
+
+    // Shortlisted listings in the order they were added; deleted listings drop out
+    const shortlistRecords = shortlistIds
+        .map(id => (listingRecords || []).find(record => record.id === id))
+        .filter(Boolean);
+    const isShortlistFull = shortlistRecords.length >= MAX_SHORTLIST_SIZE;
+    const toggleShortlisted = (recordId) => {
+        const ids = shortlistRecords.map(record => record.id);
+        if (ids.includes(recordId)) {
+            setShortlistIds(ids.filter(id => id !== recordId));
+        } else if (!isShortlistFull) {
+            setShortlistIds([...ids, recordId]);
+        }
+    };
+
+    // Plan the driving order of a site tour from a requirement through the given listings,
+    // using the same routing service as the drive metrics
+    const planTour = async (stopIds, requestedStartId) => {
+        const planCount = ++tourPlanCountRef.current;
+        const stops = stopIds
+            .map(id => (listingRecords || []).find(record => record.id === id))
+            .filter(record => record && locationsById[record.id])
+            .slice(0, MAX_TOUR_STOPS)
+            .map(record => ({
+                id: record.id,
+                name: record.name || 'Unnamed listing',
+                address: listingAddressField ? record.getCellValueAsString(listingAddressField.id) : '',
+                position: locationsById[record.id],
+                requirementIds: getLinkedRequirementIds(record, listingRequirementsField),
+            }));
+        const startId = requestedStartId || pickTourStartId(stops, requirementAreas, focusedRequirementId || filters.requirementId);
+        const startArea = startId ? requirementAreas.get(startId) : null;
+        const tourIds = stops.map(stop => stop.id);
+        if (stops.length === 0 || !startArea) {
+            setTour({
+                stopIds: tourIds,
+                startId: null,
+                plan: null,
+                status: stops.length === 0 ? 'None of these listings are on the map' : 'Choose a requirement to start from',
+            });
+            return;
+        }
+
+        setTour({ stopIds: tourIds, startId, plan: null, status: 'Planning route…' });
+        const requirementAddressField = customPropertyValueByKey.requirementAddressField;
+        const start = {
+            id: startId,
+            name: startArea.record.name || 'Requirement',
+            address: requirementAddressField ? startArea.record.getCellValueAsString(requirementAddressField.id) : '',
+            position: startArea.position,
+        };
+        const createDistanceMatrix = customPropertyValueByKey.driveMetricsServiceUrl
+            ? () => createHttpDistanceMatrix(customPropertyValueByKey.driveMetricsServiceUrl)
+            : mapProvider.createDistanceMatrix;
+        try {
+            const plan = await planTourAsync(start, stops, createDistanceMatrix ? createDistanceMatrix() : null);
+            if (planCount === tourPlanCountRef.current) {
+                setTour({
+                    stopIds: tourIds,
+                    startId,
+                    plan,
+                    status: plan.legs.some(leg => leg.isEstimate)
+                        ? 'No driving route for some legs, so they use straight-line distance'
+                        : null,
+                });
+            }
+        } catch (err) {
+            console.warn('Failed to plan tour:', err);
+            if (planCount === tourPlanCountRef.current) {
+                setTour({ stopIds: tourIds, startId, plan: null, status: 'Could not plan the route' });
+            }
+        }
+    };
+
+    const closeTour = () => {
+        tourPlanCountRef.current++;
+        setTour(null);
+    };
+
+    const removeTourStop = (recordId) => {
+        const stopIds = tour.stopIds.filter(id => id !== recordId);
+        if (stopIds.length === 0) {
+            closeTour();
+        } else {
+            planTour(stopIds, tour.startId);
+        }
+    };
+
+    const toggleMarkerCategory = (categoryKey) => {
+        setHiddenMarkerCategories(hiddenMarkerCategories.includes(categoryKey)
+            ? hiddenMarkerCategories.filter(key => key !== categoryKey)
+            : [...hiddenMarkerCategories, categoryKey]);
+    };
+
+    const closeInfoWindow = () => {
+        infoWindowRef.current.close();
+        openInfoWindowIdRef.current = null;
+        setInfoWindowTarget(null);
+    };
+
+    // Offer "Reposition" only when the coordinates and manual flag can be saved
+    const getRepositionHandler = (kind, record, table, fields) => {
+        if (!canSaveManualLocation(table, record, fields)) {
+            return null;
+        }
+        return () => {
+            closeInfoWindow();
+            setRepositioning({ kind, record, table, fields });
+        };
+    };
+
+    // Content for the open info window, kept in sync with the record it belongs to
+    const renderInfoWindowContent = () => {
+        if (!infoWindowTarget) {
+            return null;
+        }
+
+        if (infoWindowTarget.kind === 'requirement') {
+            const record = (requirementRecords || []).find(r => r.id === infoWindowTarget.recordId);
+            if (!record) {
+                return null;
+            }
+            const addressField = customPropertyValueByKey.requirementAddressField;
+            return (
+                <RequirementInfoWindow
+                    record={record}
+                    address={addressField ? record.getCellValueAsString(addressField.id) : ''}
+                    extraFields={resolveFieldList(requirementsTable, customPropertyValueByKey.requirementInfoWindowFields)}
+                    isManualLocation={isManualLocation(record, requirementLocationFields)}
+                    onReposition={getRepositionHandler('requirement', record, requirementsTable, requirementLocationFields)}
+                    canExpand={requirementsTable.hasPermissionToExpandRecords()}
+                    onClose={closeInfoWindow}
+                />
+            );
+        }
+
+        const record = (listingRecords || []).find(r => r.id === infoWindowTarget.recordId);
+        if (!record) {
+            return null;
+        }
+        const radiusCheck = radiusChecks.get(record.id);
+        const outsideRadiusNote = radiusCheck && !radiusCheck.isWithin
+            ? `Outside radius by ${formatDistance(radiusCheck.outsideByMeters, radiusSettings.unit)}`
+            : '';
+        // Every linked requirement, with the straight-line distance to those on the map
+        const linkedRequirements = (listingRequirementsField ? record.getCellValue(listingRequirementsField.id) || [] : [])
+            .map(linked => {
+                const check = radiusCheck ? radiusCheck.checks.find(c => c.requirementId === linked.id) : null;
+                return {
+                    id: linked.id,
+                    name: linked.name || 'Unnamed requirement',
+                    distanceLabel: check
+                        ? formatDistance(check.distanceMeters, radiusSettings.unit)
+                        : '',
+                    isInside: check ? check.isInside : null,
+                };
+            });
+        return (
+            <ListingInfoWindow
+                record={record}
+                fields={{
+                    addressField: listingAddressField,
+                    urlField: customPropertyValueByKey.listingUrlField,
+                    distanceField: listingDistanceField,
+                    driveTimeField: listingDriveTimeField,
+                    imageUrlField: listingImageUrlField,
+                    propertyTypeField: listingPropertyTypeField,
+                }}
+                extraFields={resolveFieldList(listingsTable, customPropertyValueByKey.listingInfoWindowFields)}
+                linkedRequirements={linkedRequirements}
+                boundaryNames={locationsById[record.id]
+                    ? findContainingBoundaries(locationsById[record.id], boundaries).map(boundary => boundary.label)
+                    : []}
+                outsideRadiusNote={outsideRadiusNote}
+                distanceUnitLabel={unitAbbreviation(driveDistanceUnit)}
+                isManualLocation={isManualLocation(record, listingLocationFields)}
+                isShortlisted={shortlistIds.includes(record.id)}
+                isShortlistFull={isShortlistFull}
+                onToggleShortlist={() => toggleShortlisted(record.id)}
+                onReposition={getRepositionHandler('listing', record, listingsTable, listingLocationFields)}
+                canExpand={listingsTable.hasPermissionToExpandRecords()}
+                onClose={closeInfoWindow}
+            />
+        );
+    };
 
     // Check if custom properties are configured
-    if (!requirementsTable || !listingsTable ||
+    const googleApiKeyProblem = mapProvider.name === 'google' ? getGoogleApiKeyProblem(googleApiKey) : null;
+    if (googleApiKeyProblem || !requirementsTable || !listingsTable ||
         !customPropertyValueByKey.requirementAddressField ||
         !customPropertyValueByKey.listingAddressField) {
         return (
@@ -573,7 +1665,7 @@ function MapInterface() {
                     Please configure the following custom properties using the properties panel:
                 </p>
                 <ul style={{ marginLeft: '20px', lineHeight: '2', marginBottom: '16px' }}>
-                    {!customPropertyValueByKey.VESPER_GOOGLE_API && <li>Google Maps API Key</li>}
+                    {googleApiKeyProblem && <li>Google Maps API Key {googleApiKeyProblem} (or pick the Leaflet map provider)</li>}
                     {!requirementsTable && <li>Requirements Table</li>}
                     {!listingsTable && <li>Listings Table</li>}
                     {!customPropertyValueByKey.requirementAddressField && <li>Requirement Address Field</li>}
@@ -597,13 +1689,211 @@ function MapInterface() {
     if (!mapsLoaded) {
         return (
             <div className="loading-container">
-                <p style={{ padding: '20px' }}>Loading Google Maps...</p>
+                <p style={{ padding: '20px' }}>{mapProvider.loadingLabel}</p>
             </div>
         );
     }
 
     return (
-        <div className="map-container" ref={mapContainerRef} />
+        <div className={`map-layout${colorScheme === 'dark' ? ' map-layout-dark' : ''}`}>
+            <FilterPanel
+                isOpen={isFilterPanelOpen}
+                onToggle={() => setIsFilterPanelOpen(!isFilterPanelOpen)}
+                filters={filters}
+                onChange={setFilters}
+                propertyTypeOptions={getPropertyTypeOptions(listingRecords, listingPropertyTypeField)}
+                requirementOptions={listingRequirementsField ? (requirementRecords || []).map(record => ({ id: record.id, name: record.name })) : []}
+                boundaryOptions={boundaries.filter((boundary, index) => boundaries.findIndex(b => b.label === boundary.label) === index)}
+                distanceBounds={getValueRange(listingRecords, record => getNumericValue(record, listingDistanceField))}
+                driveTimeBounds={getValueRange(listingRecords, record => getDriveTimeMinutes(record, listingDriveTimeField))}
+                distanceUnitLabel={unitAbbreviation(driveDistanceUnit)}
+                visibleCount={visibleListingRecords.length}
+                totalCount={listingRecords ? listingRecords.length : 0}
+            />
+            <div className="map-wrapper">
+                <div className="map-container" ref={mapContainerRef} />
+                <div className="map-overlay-top-left">
+                    <GeocodeProgress progress={geocodeProgress} />
+                    <GeocodeFailuresPanel failures={geocodeFailures} />
+                    {selectionArea && (
+                        <SelectionPanel
+                            key={selectionArea.id}
+                            listingsTable={listingsTable}
+                            selectedRecords={selectedListingRecords}
+                            requirementOptions={(requirementRecords || []).map(record => ({ id: record.id, name: record.name }))}
+                            fields={{
+                                requirementsField: listingRequirementsField,
+                                statusField: customPropertyValueByKey.listingStatusField,
+                            }}
+                            onPlanTour={(records) => planTour(records.map(record => record.id))}
+                            onClear={() => setSelectionArea(null)}
+                        />
+                    )}
+                    {tour && (
+                        <TourPanel
+                            tour={tour}
+                            startOptions={[...requirementAreas.values()].map(({ record }) => ({ id: record.id, name: record.name || 'Unnamed requirement' }))}
+                            unit={radiusSettings.unit}
+                            onStartChange={(startId) => planTour(tour.stopIds, startId)}
+                            onRemoveStop={removeTourStop}
+                            onFocus={focusListing}
+                            onClose={closeTour}
+                        />
+                    )}
+                </div>
+                <div className="map-overlay-top-center">
+                    <RepositionHint
+                        repositioning={repositioning}
+                        status={repositionStatus}
+                        onCancel={() => setRepositioning(null)}
+                        onDismiss={() => setRepositionStatus(null)}
+                    />
+                    <FocusModeHeader
+                        requirement={focusedRequirement}
+                        listingCount={visibleListingRecords.length}
+                        onExit={() => setFocusedRequirementId(null)}
+                    />
+                </div>
+                <div className="map-overlay-bottom-left">
+                    <BoundaryLayersPanel
+                        globalConfig={globalConfig}
+                        layers={boundaryLayers}
+                        hiddenLayerIds={hiddenBoundaryLayerIds}
+                        onToggleLayer={(layerId) => setHiddenBoundaryLayerIds(hiddenBoundaryLayerIds.includes(layerId)
+                            ? hiddenBoundaryLayerIds.filter(id => id !== layerId)
+                            : [...hiddenBoundaryLayerIds, layerId])}
+                    />
+                    <MarkerLegend
+                        title={listingMarkerColorField ? listingMarkerColorField.name : ''}
+                        scale={markerColorScale}
+                        counts={markerCategoryCounts}
+                        hiddenCategories={hiddenMarkerCategories}
+                        onToggleCategory={toggleMarkerCategory}
+                    />
+                </div>
+                <div className="map-overlay-bottom-center">
+                    {isComparingShortlist && shortlistRecords.length > 0 && (
+                        <ShortlistComparison
+                            records={shortlistRecords}
+                            fields={{
+                                addressField: listingAddressField,
+                                imageUrlField: listingImageUrlField,
+                                propertyTypeField: listingPropertyTypeField,
+                                distanceField: listingDistanceField,
+                                driveTimeField: listingDriveTimeField,
+                                requirementsField: listingRequirementsField,
+                            }}
+                            extraFields={resolveFieldList(
+                                listingsTable,
+                                customPropertyValueByKey.shortlistComparisonFields || customPropertyValueByKey.listingInfoWindowFields
+                            )}
+                            higherIsBetterFields={resolveFieldList(listingsTable, customPropertyValueByKey.shortlistHigherIsBetterFields)}
+                            distanceUnitLabel={unitAbbreviation(driveDistanceUnit)}
+                            onFocus={focusListing}
+                            onRemove={toggleShortlisted}
+                            onClose={() => setIsComparingShortlist(false)}
+                        />
+                    )}
+                    <ShortlistTray
+                        listingsTable={listingsTable}
+                        records={shortlistRecords}
+                        markField={customPropertyValueByKey.shortlistMarkField}
+                        markChoiceName={(customPropertyValueByKey.shortlistMarkChoice || '').trim()}
+                        isComparing={isComparingShortlist}
+                        onPlanTour={() => planTour(shortlistRecords.map(record => record.id))}
+                        onToggleCompare={() => setIsComparingShortlist(!isComparingShortlist)}
+                        onFocus={focusListing}
+                        onRemove={toggleShortlisted}
+                        onClear={() => {
+                            setIsComparingShortlist(false);
+                            setShortlistIds([]);
+                        }}
+                    />
+                </div>
+                <div className="map-overlay-top-right">
+                    <AddListingButton
+                        listingsTable={listingsTable}
+                        isActive={isAddingListing}
+                        onToggle={() => {
+                            setSelectionTool(null);
+                            setIsAddingListing(!isAddingListing);
+                        }}
+                        status={addListingStatus}
+                    />
+                    <ExportMenu
+                        getExportData={() => collectExportData({
+                            requirementAreas: visibleRequirementAreas,
+                            listingRecords: visibleListingRecords,
+                            locationsById,
+                            radiusChecks,
+                            unit: radiusSettings.unit,
+                            driveDistanceUnit,
+                            fields: {
+                                requirementAddressField: customPropertyValueByKey.requirementAddressField,
+                                addressField: listingAddressField,
+                                urlField: customPropertyValueByKey.listingUrlField,
+                                distanceField: listingDistanceField,
+                                driveTimeField: listingDriveTimeField,
+                                propertyTypeField: listingPropertyTypeField,
+                                requirementsField: listingRequirementsField,
+                            },
+                        })}
+                    />
+                    <SelectionToolbar
+                        activeTool={selectionTool}
+                        onToolChange={(tool) => {
+                            setIsAddingListing(false);
+                            setSelectionTool(tool);
+                        }}
+                    />
+                    <HeatmapControl
+                        settings={heatmapSettings}
+                        onChange={setHeatmapSettings}
+                        weightFieldName={heatmapWeightField ? heatmapWeightField.name : ''}
+                        pointCount={heatmapPoints.length}
+                    />
+                    <SaveRadiusCheckButton
+                        listingsTable={listingsTable}
+                        listingRecords={listingRecords}
+                        radiusChecks={radiusChecks}
+                        unit={radiusSettings.unit}
+                        fields={{
+                            withinRadiusField: customPropertyValueByKey.listingWithinRadiusField,
+                            straightLineDistanceField: customPropertyValueByKey.listingStraightLineDistanceField,
+                        }}
+                    />
+                    <DriveMetricsButton
+                        listingsTable={listingsTable}
+                        listingRecords={listingRecords}
+                        locationsById={locationsById}
+                        requirementAreas={requirementAreas}
+                        unit={driveDistanceUnit}
+                        serviceUrl={customPropertyValueByKey.driveMetricsServiceUrl}
+                        mapProvider={mapProvider}
+                        fields={{
+                            distanceField: customPropertyValueByKey.listingDistanceField,
+                            driveTimeField: customPropertyValueByKey.listingDriveTimeField,
+                            sourceField: customPropertyValueByKey.listingDriveMetricsSourceField,
+                            requirementsField: customPropertyValueByKey.listingRequirementsField,
+                        }}
+                    />
+                </div>
+            </div>
+            <ListingListPanel
+                isOpen={isListPanelOpen}
+                onToggle={() => setIsListPanelOpen(!isListPanelOpen)}
+                rows={listingRows}
+                totalCount={visibleListingRecords.length}
+                sortBy={listSortBy}
+                onSortChange={setListSortBy}
+                onlyInViewport={onlyInViewport}
+                onOnlyInViewportChange={setOnlyInViewport}
+                selectedListingId={selectedListingId}
+                onRowHover={highlightListingMarker}
+                onRowClick={heatmapSettings.isVisible ? null : focusListing}
+            />
+            {infoWindowNode && createPortal(renderInfoWindowContent(), infoWindowNode)}
+        </div>
     );
 }
 
@@ -0,0 +1,384 @@
+import L from 'leaflet';
+import 'leaflet.markercluster';
+import 'leaflet.heat';
+import 'leaflet/dist/leaflet.css';
+import 'leaflet.markercluster/dist/MarkerCluster.css';
+import { clusterIcon, clusterLabel, buildClusterBreakdown } from './clustering';
+
+export const DEFAULT_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+export const DEFAULT_TILE_ATTRIBUTION = '© OpenStreetMap contributors';
+export const DEFAULT_GEOCODING_URL = 'https://nominatim.openstreetmap.org';
+
+// Google event names used by the map code, and Leaflet's equivalents
+const MAP_EVENTS = {
+    idle: 'moveend',
+    click: 'click',
+    dblclick: 'dblclick',
+    mousemove: 'mousemove',
+};
+
+const toLatLng = ({ lat, lng }) => L.latLng(lat, lng);
+const toLiteral = (latLng) => ({ lat: latLng.lat, lng: latLng.lng });
+const toLatLngBounds = ({ south, west, north, east }) => L.latLngBounds([south, west], [north, east]);
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+// Our map wrappers keyed by the Leaflet maps they wrap, and marker wrappers likewise
+const mapWrappers = new WeakMap();
+const markerWrappers = new WeakMap();
+
+// Leaflet tracks the map a layer is on in `_map`; the cluster group adds and
+// removes markers itself, so that is the only reliable place to ask
+const getLayerMap = (layer) => (layer._map ? mapWrappers.get(layer._map) || null : null);
+
+// Circle markers are styled divs, taking the same icon ({scale, fillColor, ...}) and
+// label ({text, color, fontSize, fontWeight}) as Google symbols and marker labels
+function buildIcon(icon, label) {
+    const strokeWeight = icon.strokeWeight || 0;
+    const size = icon.scale > 0 ? icon.scale * 2 + strokeWeight : 0;
+
+    const dot = document.createElement('div');
+    dot.className = icon.shape ? `leaflet-dot marker-shape-${icon.shape}` : 'leaflet-dot';
+    dot.style.width = `${size}px`;
+    dot.style.height = `${size}px`;
+    if (size > 0) {
+        dot.style.background = icon.fillColor;
+        dot.style.border = `${strokeWeight}px solid ${icon.strokeColor || 'transparent'}`;
+        dot.style.opacity = String(icon.fillOpacity === undefined ? 1 : icon.fillOpacity);
+    }
+
+    if (label) {
+        const text = document.createElement('span');
+        text.className = 'leaflet-dot-label';
+        text.textContent = label.text;
+        text.style.color = label.color;
+        text.style.fontSize = label.fontSize;
+        text.style.fontWeight = label.fontWeight;
+        dot.appendChild(text);
+    }
+
+    return L.divIcon({ html: dot, className: 'leaflet-dot-marker', iconSize: [size, size] });
+}
+
+// Google shape options to Leaflet path options
+function toPathOptions({ strokeColor, strokeOpacity, strokeWeight, fillColor, fillOpacity, clickable }) {
+    return {
+        color: strokeColor,
+        opacity: strokeOpacity === undefined ? 1 : strokeOpacity,
+        weight: strokeWeight === undefined ? 3 : strokeWeight,
+        fill: fillColor !== undefined,
+        fillColor,
+        fillOpacity: fillOpacity === undefined ? 0 : fillOpacity,
+        interactive: Boolean(clickable),
+    };
+}
+
+function wrapLayer(layer, map, zIndex) {
+    const wrapper = {
+        native: layer,
+        getMap: () => getLayerMap(layer),
+        setMap(nextMap) {
+            if (nextMap) {
+                layer.addTo(nextMap.native);
+            } else {
+                layer.remove();
+            }
+        },
+    };
+    wrapper.setMap(map);
+    // Shapes drawn at zIndex 0, such as boundaries, stay beneath everything else
+    if (map && zIndex === 0 && layer.bringToBack) {
+        layer.bringToBack();
+    }
+    return wrapper;
+}
+
+function createMap(container, { center, zoom }, { tileUrl, tileAttribution }) {
+    const map = L.map(container, { center: toLatLng(center), zoom });
+    L.tileLayer(tileUrl, { attribution: escapeHtml(tileAttribution), maxZoom: 19 }).addTo(map);
+
+    // Leaflet doesn't notice its container resizing, e.g. when a side panel opens
+    const resizeObserver = new ResizeObserver(() => map.invalidateSize());
+    resizeObserver.observe(container);
+
+    const wrapper = {
+        native: map,
+        // Mouse events hand their handler the position as {lat, lng}
+        addListener(eventName, handler) {
+            const leafletEvent = MAP_EVENTS[eventName] || eventName;
+            const listener = (event) => handler(event && event.latlng ? toLiteral(event.latlng) : undefined);
+            map.on(leafletEvent, listener);
+            // Google reports 'idle' for the initial view as well
+            if (eventName === 'idle') {
+                map.whenReady(() => handler());
+            }
+            return { remove: () => map.off(leafletEvent, listener) };
+        },
+        getBounds() {
+            const bounds = map.getBounds();
+            return { contains: (position) => bounds.contains(toLatLng(position)) };
+        },
+        fitPositions(positions) {
+            map.fitBounds(L.latLngBounds(positions.map(toLatLng)), { padding: [24, 24], maxZoom: 16 });
+        },
+        panTo: (position) => map.panTo(toLatLng(position)),
+        setCursor(cursor) {
+            container.style.cursor = cursor || '';
+        },
+        setDoubleClickZoom(isEnabled) {
+            if (isEnabled) {
+                map.doubleClickZoom.enable();
+            } else {
+                map.doubleClickZoom.disable();
+            }
+        },
+        // Tiles come from the configured server, so the presets can only tint them:
+        // dark mode inverts the tiles and the muted style greys them out
+        applyStyle(preset, stylesJson, colorScheme) {
+            const isDark = colorScheme === 'dark' && preset !== 'satellite';
+            container.classList.toggle('leaflet-map-dark', isDark);
+            container.classList.toggle('leaflet-map-muted', preset === 'muted' && !isDark);
+        },
+        destroy() {
+            resizeObserver.disconnect();
+            map.remove();
+            container.classList.remove('leaflet-map-dark', 'leaflet-map-muted');
+        },
+    };
+    mapWrappers.set(map, wrapper);
+    return wrapper;
+}
+
+function createMarker({ map, position, icon, label, title, zIndex, clickable }) {
+    const zIndexOffset = zIndex || 0;
+    const marker = L.marker(toLatLng(position), {
+        icon: buildIcon(icon, label),
+        title: title || '',
+        zIndexOffset,
+        interactive: clickable !== false,
+        keyboard: false,
+    });
+
+    const wrapper = {
+        ...wrapLayer(marker, map),
+        getPosition: () => toLiteral(marker.getLatLng()),
+        setPosition: (nextPosition) => marker.setLatLng(toLatLng(nextPosition)),
+        setIcon: (nextIcon) => marker.setIcon(buildIcon(nextIcon, label)),
+        setDraggable(isDraggable) {
+            // Leaflet only sets up dragging once the marker is on a map
+            if (!marker.dragging) {
+                return;
+            }
+            if (isDraggable) {
+                marker.dragging.enable();
+            } else {
+                marker.dragging.disable();
+            }
+        },
+        bringToFront: (isFront) => marker.setZIndexOffset(isFront ? 10000 : zIndexOffset),
+        // 'dragend' hands its handler the dropped position
+        addListener(eventName, handler) {
+            const listener = () => handler(toLiteral(marker.getLatLng()));
+            marker.on(eventName, listener);
+            return { remove: () => marker.off(eventName, listener) };
+        },
+    };
+    markerWrappers.set(marker, wrapper);
+    return wrapper;
+}
+
+// Points are {position, weight}; the gradient is a list of CSS colors, transparent first.
+// leaflet.heat takes color stops instead, so the visible colors are spread over the
+// upper intensities the way its default gradient is.
+function createHeatmap({ map, points, radius, gradient }) {
+    const colors = gradient.slice(1);
+    const stops = {};
+    colors.forEach((color, index) => {
+        stops[0.4 + (0.6 * index) / Math.max(colors.length - 1, 1)] = color;
+    });
+
+    const layer = L.heatLayer(points.map(point => [point.position.lat, point.position.lng, point.weight]), {
+        radius,
+        blur: Math.round(radius * 0.6),
+        max: 1,
+        minOpacity: 0.05,
+        gradient: stops,
+    });
+    return wrapLayer(layer, map);
+}
+
+function createPopup(map, { content, onClose }) {
+    const popup = L.popup({
+        closeButton: false,
+        minWidth: 220,
+        maxWidth: 360,
+        autoPanPadding: [24, 24],
+        offset: [0, -4],
+    }).setContent(content);
+    popup.on('remove', onClose);
+
+    // The content is rendered after the popup opens, so lay it out again as it changes
+    const resizeObserver = new ResizeObserver(() => {
+        if (popup.isOpen()) {
+            popup.update();
+        }
+    });
+    resizeObserver.observe(content);
+
+    return {
+        // Opening at the marker's position also works while it is hidden inside a cluster
+        open(marker) {
+            popup.setLatLng(toLatLng(marker.getPosition())).openOn(map.native);
+        },
+        close: () => map.native.closePopup(popup),
+    };
+}
+
+// Clusters listing markers with count badges. Clicking a cluster zooms to it
+// (the plugin default) and hovering shows the property type breakdown.
+function createClusterer(map, getMarkerCategory) {
+    const group = L.markerClusterGroup({
+        showCoverageOnHover: false,
+        iconCreateFunction: (cluster) => buildIcon(clusterIcon(cluster.getChildCount()), clusterLabel(cluster.getChildCount())),
+    });
+    const hoverTooltip = L.tooltip({ direction: 'top', className: 'leaflet-cluster-tooltip' });
+
+    group.on('clustermouseover', (event) => {
+        const markers = event.layer.getAllChildMarkers().map(layer => markerWrappers.get(layer));
+        hoverTooltip.options.offset = [0, -clusterIcon(markers.length).scale];
+        hoverTooltip
+            .setLatLng(event.layer.getLatLng())
+            .setContent(buildClusterBreakdown(markers, getMarkerCategory))
+            .openOn(map.native);
+    });
+    group.on('clustermouseout clusterclick', () => hoverTooltip.remove());
+    group.addTo(map.native);
+
+    const natives = (markers) => markers.map(marker => marker.native);
+
+    // The plugin redraws as layers come and go, so there's nothing to defer
+    return {
+        addMarker: (marker) => group.addLayer(marker.native),
+        addMarkers: (markers) => group.addLayers(natives(markers)),
+        removeMarker: (marker) => group.removeLayer(marker.native),
+        render: () => {},
+        // Zooms in to or spiderfies the marker's cluster, then calls `callback`
+        showMarker: (marker, callback) => group.zoomToShowLayer(marker.native, callback),
+        setMap(nextMap) {
+            hoverTooltip.remove();
+            if (nextMap) {
+                group.addTo(nextMap.native);
+            } else {
+                group.remove();
+            }
+        },
+    };
+}
+
+// Any Nominatim-compatible endpoint, e.g. a self-hosted Nominatim or a local stub:
+// GET <url>/search?q=<address>&format=jsonv2&limit=1 answering [{lat, lon}, ...] and
+// GET <url>/reverse?lat=<lat>&lon=<lng>&format=jsonv2 answering {display_name}
+function buildGeocodingUrl(geocodingUrl, path, params) {
+    const url = new URL(path, geocodingUrl.endsWith('/') ? geocodingUrl : `${geocodingUrl}/`);
+    url.searchParams.set('format', 'jsonv2');
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+}
+
+// HTTP failures in the Google status vocabulary the geocode queue and failure panel use
+function statusForResponse(response) {
+    if (response.status === 429) {
+        return 'OVER_QUERY_LIMIT';
+    }
+    return response.status >= 500 ? 'UNKNOWN_ERROR' : 'REQUEST_DENIED';
+}
+
+function createGeocoder(geocodingUrl) {
+    return {
+        async geocodeAsync(address) {
+            try {
+                const response = await fetch(buildGeocodingUrl(geocodingUrl, 'search', { q: address, limit: 1 }));
+                if (!response.ok) {
+                    return { status: statusForResponse(response), position: null };
+                }
+                const results = await response.json();
+                const position = Array.isArray(results) && results[0]
+                    ? { lat: Number(results[0].lat), lng: Number(results[0].lon) }
+                    : null;
+                if (!position || !Number.isFinite(position.lat) || !Number.isFinite(position.lng)) {
+                    return { status: 'ZERO_RESULTS', position: null };
+                }
+                return { status: 'OK', position };
+            } catch (err) {
+                // Network failures may clear up, so report them as retryable
+                return { status: 'UNKNOWN_ERROR', position: null, error: err };
+            }
+        },
+        async reverseGeocodeAsync(position) {
+            try {
+                const response = await fetch(buildGeocodingUrl(geocodingUrl, 'reverse', { lat: position.lat, lon: position.lng }));
+                if (!response.ok) {
+                    return null;
+                }
+                const result = await response.json();
+                return result && result.display_name ? result.display_name : null;
+            } catch {
+                return null;
+            }
+        },
+    };
+}
+
+// The public Nominatim server allows one request per second; other endpoints aren't throttled
+function isPublicNominatim(geocodingUrl) {
+    try {
+        return new URL(geocodingUrl).hostname === new URL(DEFAULT_GEOCODING_URL).hostname;
+    } catch {
+        return false;
+    }
+}
+
+export function createLeafletMapProvider({ tileUrl, tileAttribution, geocodingUrl }) {
+    const tiles = {
+        tileUrl: tileUrl || DEFAULT_TILE_URL,
+        tileAttribution: tileAttribution || DEFAULT_TILE_ATTRIBUTION,
+    };
+    const geocoderUrl = geocodingUrl || DEFAULT_GEOCODING_URL;
+
+    return {
+        name: 'leaflet',
+        loadingLabel: 'Loading map...',
+        geocodeQueueOptions: isPublicNominatim(geocoderUrl) ? { concurrency: 1, minIntervalMs: 1000 } : { concurrency: 4 },
+        // Leaflet is bundled with the extension, so there is nothing to load
+        loadAsync: () => Promise.resolve(),
+        addErrorListener: () => ({ remove() {} }),
+        createMap: (container, options) => createMap(container, options, tiles),
+        createMarker,
+        createCircle: ({ map, center, radius, zIndex, ...style }) => wrapLayer(
+            L.circle(toLatLng(center), { radius, ...toPathOptions(style) }), map, zIndex
+        ),
+        // Paths are a single ring or a list of rings, outer ring first
+        createPolygon({ map, paths, zIndex, ...style }) {
+            const rings = Array.isArray(paths[0]) ? paths : [paths];
+            return wrapLayer(L.polygon(rings.map(ring => ring.map(toLatLng)), toPathOptions(style)), map, zIndex);
+        },
+        createPolyline({ map, path, zIndex, ...style }) {
+            const line = L.polyline(path.map(toLatLng), { ...toPathOptions(style), fill: false });
+            return { ...wrapLayer(line, map, zIndex), setPath: (nextPath) => line.setLatLngs(nextPath.map(toLatLng)) };
+        },
+        // Bounds are {south, west, north, east}
+        createRectangle({ map, bounds, zIndex, ...style }) {
+            const rectangle = L.rectangle(toLatLngBounds(bounds), toPathOptions(style));
+            return { ...wrapLayer(rectangle, map, zIndex), setBounds: (nextBounds) => rectangle.setBounds(toLatLngBounds(nextBounds)) };
+        },
+        createHeatmap,
+        createPopup,
+        createClusterer,
+        createGeocoder: () => createGeocoder(geocoderUrl),
+        // There's no routing service here; drive metrics need the HTTP stand-in
+        createDistanceMatrix: null,
+    };
+}
@@ -0,0 +1,38 @@
+// Records repositioned by dragging their marker keep the dropped coordinates in
+// the latitude/longitude fields and set a "manual location" checkbox, so they
+// skip geocoding from then on. `fields` is {latitudeField, longitudeField, manualLocationField}.
+
+export function isManualLocation(record, fields) {
+    return Boolean(fields.manualLocationField && record.getCellValue(fields.manualLocationField.id));
+}
+
+// The manually placed {lat, lng}, or null when the record is not manually placed
+export function getManualLocation(record, fields) {
+    const { latitudeField, longitudeField } = fields;
+    if (!latitudeField || !longitudeField || !isManualLocation(record, fields)) {
+        return null;
+    }
+    const lat = record.getCellValue(latitudeField.id);
+    const lng = record.getCellValue(longitudeField.id);
+    return typeof lat === 'number' && typeof lng === 'number' ? { lat, lng } : null;
+}
+
+function buildManualLocationFields(fields, position) {
+    return {
+        [fields.latitudeField.id]: position.lat,
+        [fields.longitudeField.id]: position.lng,
+        [fields.manualLocationField.id]: true,
+    };
+}
+
+export function canSaveManualLocation(table, record, fields) {
+    const { latitudeField, longitudeField, manualLocationField } = fields;
+    if (!table || !latitudeField || !longitudeField || !manualLocationField) {
+        return false;
+    }
+    return table.hasPermissionToUpdateRecord(record, buildManualLocationFields(fields, { lat: 0, lng: 0 }));
+}
+
+export async function saveManualLocationAsync(table, record, fields, position) {
+    await table.updateRecordAsync(record, buildManualLocationFields(fields, position));
+}
@@ -0,0 +1,199 @@
+import { circleVertices, fromMeters, unitAbbreviation } from './geo';
+import { getDriveTimeMinutes, getNumericValue } from './filters';
+
+// Plain rows for the plotted requirements and listings, shared by every export format
+export function collectExportData({ requirementAreas, listingRecords, locationsById, radiusChecks, fields, unit, driveDistanceUnit }) {
+    const { requirementAddressField, addressField, urlField, distanceField, driveTimeField, propertyTypeField, requirementsField } = fields;
+
+    const requirements = [...requirementAreas.values()].map(({ record, position, radiusMeters }) => ({
+        id: record.id,
+        name: record.name || '',
+        address: requirementAddressField ? record.getCellValueAsString(requirementAddressField.id) : '',
+        position,
+        radiusMeters,
+        radius: Math.round(fromMeters(radiusMeters, unit) * 100) / 100,
+    }));
+
+    const listings = [];
+    listingRecords.forEach(record => {
+        const position = locationsById[record.id];
+        if (!position) {
+            return;
+        }
+        const radiusCheck = radiusChecks.get(record.id);
+        const driveTime = getDriveTimeMinutes(record, driveTimeField);
+        listings.push({
+            id: record.id,
+            name: record.name || '',
+            address: addressField ? record.getCellValueAsString(addressField.id) : '',
+            url: urlField ? record.getCellValueAsString(urlField.id) : '',
+            driveDistance: getNumericValue(record, distanceField),
+            driveTimeMinutes: driveTime !== null ? Math.round(driveTime) : null,
+            propertyType: propertyTypeField ? record.getCellValueAsString(propertyTypeField.id) : '',
+            requirements: requirementsField ? record.getCellValueAsString(requirementsField.id) : '',
+            withinRadius: radiusCheck ? radiusCheck.isWithin : null,
+            position,
+        });
+    });
+
+    return { requirements, listings, unitLabel: unitAbbreviation(unit), driveDistanceUnitLabel: unitAbbreviation(driveDistanceUnit || unit) };
+}
+
+const listingProperties = (listing, driveDistanceUnitLabel) => ({
+    type: 'listing',
+    recordId: listing.id,
+    name: listing.name,
+    address: listing.address,
+    url: listing.url,
+    [`driveDistance_${driveDistanceUnitLabel}`]: listing.driveDistance,
+    driveTimeMinutes: listing.driveTimeMinutes,
+    propertyType: listing.propertyType,
+    requirements: listing.requirements,
+    withinRadius: listing.withinRadius,
+});
+
+// GeoJSON uses [lng, lat] order
+const toCoordinates = ({ lat, lng }) => [lng, lat];
+
+export function toGeoJson({ requirements, listings, unitLabel, driveDistanceUnitLabel }) {
+    const features = [];
+    requirements.forEach(requirement => {
+        const properties = {
+            type: 'requirement',
+            recordId: requirement.id,
+            name: requirement.name,
+            address: requirement.address,
+            [`radius_${unitLabel}`]: requirement.radius,
+        };
+        features.push({ type: 'Feature', properties, geometry: { type: 'Point', coordinates: toCoordinates(requirement.position) } });
+        features.push({
+            type: 'Feature',
+            properties: { ...properties, type: 'requirementRadius' },
+            geometry: {
+                type: 'Polygon',
+                // GeoJSON rings run counter-clockwise, while bearings run clockwise
+                coordinates: [circleVertices(requirement.position, requirement.radiusMeters).map(toCoordinates).reverse()],
+            },
+        });
+    });
+    listings.forEach(listing => {
+        features.push({
+            type: 'Feature',
+            properties: listingProperties(listing, driveDistanceUnitLabel),
+            geometry: { type: 'Point', coordinates: toCoordinates(listing.position) },
+        });
+    });
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+export const escapeXml = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const kmlCoordinates = ({ lat, lng }) => `${lng},${lat},0`;
+
+function kmlExtendedData(properties) {
+    return Object.entries(properties)
+        .filter(([, value]) => value !== null && value !== '')
+        .map(([name, value]) => `<Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`)
+        .join('');
+}
+
+// KML colors are aabbggrr
+export function toKml({ requirements, listings, unitLabel, driveDistanceUnitLabel }) {
+    const placemarks = [];
+    requirements.forEach(requirement => {
+        placemarks.push(
+            `<Placemark><name>${escapeXml(requirement.name)}</name><styleUrl>#requirement</styleUrl>` +
+            `<description>${escapeXml(requirement.address)}</description>` +
+            `<ExtendedData>${kmlExtendedData({ [`radius_${unitLabel}`]: requirement.radius })}</ExtendedData>` +
+            `<Point><coordinates>${kmlCoordinates(requirement.position)}</coordinates></Point></Placemark>`
+        );
+        placemarks.push(
+            `<Placemark><name>${escapeXml(`${requirement.name} radius`)}</name><styleUrl>#requirementRadius</styleUrl>` +
+            '<Polygon><outerBoundaryIs><LinearRing><coordinates>' +
+            circleVertices(requirement.position, requirement.radiusMeters).map(kmlCoordinates).join(' ') +
+            '</coordinates></LinearRing></outerBoundaryIs></Polygon></Placemark>'
+        );
+    });
+    listings.forEach(listing => {
+        const { type, name, ...properties } = listingProperties(listing, driveDistanceUnitLabel);
+        placemarks.push(
+            `<Placemark><name>${escapeXml(name || listing.address)}</name>` +
+            `<styleUrl>#${listing.withinRadius === false ? 'listingOutside' : type}</styleUrl>` +
+            `<description>${escapeXml(listing.address)}</description>` +
+            `<ExtendedData>${kmlExtendedData(properties)}</ExtendedData>` +
+            `<Point><coordinates>${kmlCoordinates(listing.position)}</coordinates></Point></Placemark>`
+        );
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>',
+        '<name>Vesper Listings Map</name>',
+        '<Style id="requirement"><IconStyle><color>ffd27619</color><scale>1.1</scale></IconStyle></Style>',
+        '<Style id="requirementRadius"><LineStyle><color>ccd27619</color><width>2</width></LineStyle><PolyStyle><color>26d27619</color></PolyStyle></Style>',
+        '<Style id="listing"><IconStyle><color>ff2240f7</color><scale>0.8</scale></IconStyle></Style>',
+        '<Style id="listingOutside"><IconStyle><color>802240f7</color><scale>0.8</scale></IconStyle></Style>',
+        ...placemarks,
+        '</Document></kml>',
+    ].join('\n');
+}
+
+// Text a spreadsheet would run as a formula (names and addresses come from base
+// editors) is prefixed with an apostrophe; numbers such as negative longitudes are left as they are
+const FORMULA_START_PATTERN = /^[=+\-@\t\r]/;
+
+const escapeCsv = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_START_PATTERN.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCsv({ requirements, listings, unitLabel, driveDistanceUnitLabel }) {
+    const columns = [
+        'type', 'recordId', 'name', 'address', 'latitude', 'longitude', `radius_${unitLabel}`, 'url',
+        `driveDistance_${driveDistanceUnitLabel}`, 'driveTimeMinutes', 'propertyType', 'requirements', 'withinRadius',
+    ];
+    const rows = [
+        ...requirements.map(requirement => ({
+            type: 'requirement',
+            recordId: requirement.id,
+            name: requirement.name,
+            address: requirement.address,
+            [`radius_${unitLabel}`]: requirement.radius,
+            latitude: requirement.position.lat,
+            longitude: requirement.position.lng,
+        })),
+        ...listings.map(listing => ({
+            ...listingProperties(listing, driveDistanceUnitLabel),
+            latitude: listing.position.lat,
+            longitude: listing.position.lng,
+        })),
+    ];
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(values => values.map(escapeCsv).join(','))
+        .join('\r\n');
+}
+
+export const EXPORT_FORMATS = [
+    { value: 'geojson', label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', build: toGeoJson },
+    { value: 'kml', label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', build: toKml },
+    { value: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv', build: toCsv },
+];
+
+export function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
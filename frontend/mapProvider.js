@@ -0,0 +1,19 @@
+import { createGoogleMapProvider } from './googleMapProvider';
+import { createLeafletMapProvider } from './leafletMapProvider';
+
+export const MAP_PROVIDER_OPTIONS = [
+    { value: 'google', label: 'Google Maps' },
+    { value: 'leaflet', label: 'Leaflet (OpenStreetMap tiles)' },
+];
+
+// A map provider draws the map and its overlays and geocodes addresses. Every
+// provider exposes the same Google-shaped API ({lat, lng} literals throughout):
+// loadAsync, addErrorListener, createMap, createMarker, createCircle, createPolygon,
+// createPolyline, createRectangle, createHeatmap, createPopup, createClusterer,
+// createGeocoder and, where the provider has a routing service, createDistanceMatrix.
+export function createMapProvider(name, settings) {
+    if (name === 'leaflet') {
+        return createLeafletMapProvider(settings);
+    }
+    return createGoogleMapProvider(settings);
+}
@@ -0,0 +1,69 @@
+export const MAP_STYLE_OPTIONS = [
+    { value: 'default', label: 'Default' },
+    { value: 'muted', label: 'Muted (grey)' },
+    { value: 'satellite', label: 'Satellite' },
+    { value: 'terrain', label: 'Terrain' },
+    { value: 'custom', label: 'Custom (styles JSON)' },
+];
+
+// Points of interest compete with our markers, so the muted and dark styles hide them
+const HIDE_POIS = [
+    { featureType: 'poi', stylers: [{ visibility: 'off' }] },
+    { featureType: 'transit', elementType: 'labels.icon', stylers: [{ visibility: 'off' }] },
+];
+
+const MUTED_STYLES = [
+    { elementType: 'geometry', stylers: [{ saturation: -100 }, { lightness: 10 }] },
+    { elementType: 'labels.text.fill', stylers: [{ color: '#6b6b6b' }] },
+    { featureType: 'road', elementType: 'geometry', stylers: [{ color: '#ffffff' }] },
+    { featureType: 'water', elementType: 'geometry', stylers: [{ color: '#d6dde3' }] },
+    ...HIDE_POIS,
+];
+
+const DARK_STYLES = [
+    { elementType: 'geometry', stylers: [{ color: '#242f3e' }] },
+    { elementType: 'labels.text.stroke', stylers: [{ color: '#242f3e' }] },
+    { elementType: 'labels.text.fill', stylers: [{ color: '#a0a8b4' }] },
+    { featureType: 'administrative', elementType: 'geometry.stroke', stylers: [{ color: '#4b5563' }] },
+    { featureType: 'road', elementType: 'geometry', stylers: [{ color: '#38414e' }] },
+    { featureType: 'road', elementType: 'geometry.stroke', stylers: [{ color: '#212a37' }] },
+    { featureType: 'road.highway', elementType: 'geometry', stylers: [{ color: '#4d5b6b' }] },
+    { featureType: 'water', elementType: 'geometry', stylers: [{ color: '#17263c' }] },
+    { featureType: 'water', elementType: 'labels.text.fill', stylers: [{ color: '#515c6d' }] },
+    { featureType: 'landscape.natural', elementType: 'geometry', stylers: [{ color: '#263241' }] },
+    ...HIDE_POIS,
+];
+
+function parseCustomStyles(stylesJson) {
+    if (!stylesJson || !stylesJson.trim()) {
+        return null;
+    }
+    try {
+        const styles = JSON.parse(stylesJson);
+        return Array.isArray(styles) ? styles : null;
+    } catch (err) {
+        console.warn('Ignoring invalid map styles JSON:', err);
+        return null;
+    }
+}
+
+// Map type and styles for a preset. Dark mode swaps in the dark styles for the
+// road and terrain maps; satellite imagery and custom styles are left as they are.
+export function getMapStyleOptions(preset, stylesJson, colorScheme) {
+    const isDark = colorScheme === 'dark';
+
+    switch (preset) {
+        case 'satellite':
+            return { mapTypeId: 'hybrid', styles: null };
+        case 'terrain':
+            return { mapTypeId: 'terrain', styles: isDark ? DARK_STYLES : null };
+        case 'muted':
+            return { mapTypeId: 'roadmap', styles: isDark ? DARK_STYLES : MUTED_STYLES };
+        case 'custom': {
+            const styles = parseCustomStyles(stylesJson);
+            return { mapTypeId: 'roadmap', styles: styles || (isDark ? DARK_STYLES : null) };
+        }
+        default:
+            return { mapTypeId: 'roadmap', styles: isDark ? DARK_STYLES : null };
+    }
+}
@@ -0,0 +1,90 @@
+import { colorUtils } from '@airtable/blocks/interface/ui';
+import { FieldType } from '@airtable/blocks/interface/models';
+
+export const DEFAULT_MARKER_COLOR = '#f74022';
+// Categories also differ in shape, so they can be told apart without relying on color
+export const MARKER_SHAPES = ['circle', 'square', 'diamond', 'triangle'];
+const DEFAULT_MARKER_SHAPE = MARKER_SHAPES[0];
+const EMPTY_CATEGORY_COLOR = '#9e9e9e';
+const EMPTY_CATEGORY_KEY = '';
+
+const GRADIENT_FIELD_TYPES = [FieldType.NUMBER, FieldType.CURRENCY, FieldType.PERCENT, FieldType.RATING];
+
+export function isMarkerColorFieldAllowed(field) {
+    return field.config.type === FieldType.SINGLE_SELECT || GRADIENT_FIELD_TYPES.includes(field.config.type);
+}
+
+function parseHexColor(value, fallback) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(String(value || '').trim());
+    const hex = match ? match[1] : fallback.slice(1);
+    return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+}
+
+function interpolateColor(startRgb, endRgb, ratio) {
+    const channels = startRgb.map((start, index) => Math.round(start + (endRgb[index] - start) * ratio));
+    return `#${channels.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Colors listing markers by a single select (its choice colors and a shape per choice,
+// one legend category per choice) or a numeric field (a gradient between two colors).
+// Without a field every marker keeps the default color; only categories change shape.
+export function buildMarkerColorScale(field, records, { gradientStart, gradientEnd }) {
+    if (!field) {
+        return {
+            kind: null,
+            getColor: () => DEFAULT_MARKER_COLOR,
+            getShape: () => DEFAULT_MARKER_SHAPE,
+            getCategoryKey: () => null,
+        };
+    }
+
+    if (field.type === FieldType.SINGLE_SELECT) {
+        const choices = (field.options && field.options.choices) || [];
+        const categories = choices.map((choice, index) => ({
+            key: choice.name,
+            label: choice.name,
+            color: (choice.color && colorUtils.getHexForColor(choice.color)) || DEFAULT_MARKER_COLOR,
+            shape: MARKER_SHAPES[index % MARKER_SHAPES.length],
+        }));
+        categories.push({ key: EMPTY_CATEGORY_KEY, label: 'No value', color: EMPTY_CATEGORY_COLOR, shape: DEFAULT_MARKER_SHAPE });
+        const colorByKey = new Map(categories.map(category => [category.key, category.color]));
+        const shapeByKey = new Map(categories.map(category => [category.key, category.shape]));
+
+        const getCategoryKey = (record) => {
+            const value = record.getCellValue(field.id);
+            return value ? value.name : EMPTY_CATEGORY_KEY;
+        };
+        return {
+            kind: 'category',
+            categories,
+            getCategoryKey,
+            getColor: (record) => colorByKey.get(getCategoryKey(record)) || DEFAULT_MARKER_COLOR,
+            getShape: (record) => shapeByKey.get(getCategoryKey(record)) || DEFAULT_MARKER_SHAPE,
+        };
+    }
+
+    const values = (records || [])
+        .map(record => record.getCellValue(field.id))
+        .filter(value => typeof value === 'number');
+    const min = values.length > 0 ? Math.min(...values) : 0;
+    const max = values.length > 0 ? Math.max(...values) : 0;
+    const startRgb = parseHexColor(gradientStart, '#fde0dd');
+    const endRgb = parseHexColor(gradientEnd, DEFAULT_MARKER_COLOR);
+
+    return {
+        kind: 'gradient',
+        min,
+        max,
+        startColor: interpolateColor(startRgb, endRgb, 0),
+        endColor: interpolateColor(startRgb, endRgb, 1),
+        getCategoryKey: () => null,
+        getShape: () => DEFAULT_MARKER_SHAPE,
+        getColor: (record) => {
+            const value = record.getCellValue(field.id);
+            if (typeof value !== 'number') {
+                return EMPTY_CATEGORY_COLOR;
+            }
+            return interpolateColor(startRgb, endRgb, max > min ? (value - min) / (max - min) : 1);
+        },
+    };
+}
@@ -0,0 +1,41 @@
+import { distanceMeters } from './geo';
+import { buildCacheFields, hasGeocodeCacheFields } from './geocodeCache';
+import { formatLatLng } from './format';
+
+// The nearest requirement whose radius contains the point, or null
+export function findContainingRequirement(position, requirementAreas) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    requirementAreas.forEach((area, requirementId) => {
+        const distance = distanceMeters(position, area.position);
+        if (distance <= area.radiusMeters && distance < nearestDistance) {
+            nearest = requirementId;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+// Reverse-geocode a clicked point with the map provider's geocoder and create a listing
+// for it, pre-linked to the requirement it falls in and with its coordinates cached so
+// it isn't geocoded again. Resolves to the new record's ID.
+export async function createListingAtAsync(table, position, { geocoder, requirementAreas, fields }) {
+    const { addressField, requirementsField, cacheFields } = fields;
+
+    const address = await geocoder.reverseGeocodeAsync(position) ||
+        formatLatLng(position, ', ');
+
+    const cellValues = { [addressField.id]: address };
+    const requirementId = requirementsField ? findContainingRequirement(position, requirementAreas) : null;
+    if (requirementId) {
+        cellValues[requirementsField.id] = [{ id: requirementId }];
+    }
+    if (hasGeocodeCacheFields(cacheFields)) {
+        Object.assign(cellValues, buildCacheFields(cacheFields, address, position));
+    }
+
+    if (!table.hasPermissionToCreateRecord(cellValues)) {
+        throw new Error('No permission to create this listing');
+    }
+    return table.createRecordAsync(cellValues);
+}
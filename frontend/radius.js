@@ -0,0 +1,117 @@
+import { toMeters, fromMeters, distanceMeters, parsePositiveNumber, parseRadiusList } from './geo';
+
+// Read the radius custom properties into one settings object
+export function getRadiusSettings(customPropertyValueByKey) {
+    return {
+        radiusField: customPropertyValueByKey.requirementRadiusField,
+        unit: customPropertyValueByKey.radiusUnit || 'miles',
+        defaultRadius: parsePositiveNumber(customPropertyValueByKey.defaultRadius) || 15,
+        rings: parseRadiusList(customPropertyValueByKey.radiusRings),
+    };
+}
+
+// Search radius from the record, falling back to the configured default
+export function getRequirementRadius(record, settings) {
+    const value = settings.radiusField ? record.getCellValue(settings.radiusField.id) : null;
+    return typeof value === 'number' && value > 0 ? value : settings.defaultRadius;
+}
+
+// Every located requirement keyed by record ID, with its search radius in meters
+export function buildRequirementAreas(requirementRecords, locationsById, settings) {
+    const areas = new Map();
+    (requirementRecords || []).forEach(record => {
+        const position = locationsById[record.id];
+        if (!position) {
+            return;
+        }
+        areas.set(record.id, {
+            record,
+            position,
+            radiusMeters: toMeters(getRequirementRadius(record, settings), settings.unit),
+        });
+    });
+    return areas;
+}
+
+// Compare a listing position against each linked requirement that has a location.
+// Returns null when none of the linked requirements could be placed on the map.
+export function checkListingRadius(position, linkedRequirements, requirementAreas) {
+    const checks = (linkedRequirements || [])
+        .filter(linked => requirementAreas.has(linked.id))
+        .map(linked => {
+            const area = requirementAreas.get(linked.id);
+            const distance = distanceMeters(position, area.position);
+            return {
+                requirementId: linked.id,
+                requirementName: linked.name || area.record.name || '',
+                distanceMeters: distance,
+                radiusMeters: area.radiusMeters,
+                isInside: distance <= area.radiusMeters,
+            };
+        });
+
+    if (checks.length === 0) {
+        return null;
+    }
+
+    const nearest = checks.reduce((best, check) => (check.distanceMeters < best.distanceMeters ? check : best));
+    const closestOvershoot = Math.min(...checks.map(check => check.distanceMeters - check.radiusMeters));
+
+    return {
+        checks,
+        nearest,
+        isWithin: checks.some(check => check.isInside),
+        // How far the listing sits beyond the nearest radius edge (0 when inside one)
+        outsideByMeters: Math.max(0, closestOvershoot),
+    };
+}
+
+// Radius check for every located listing, keyed by record ID
+export function checkListingsAgainstRadius(listingRecords, locationsById, requirementAreas, requirementsField) {
+    const results = new Map();
+    if (!requirementsField) {
+        return results;
+    }
+    (listingRecords || []).forEach(record => {
+        const position = locationsById[record.id];
+        if (!position) {
+            return;
+        }
+        const result = checkListingRadius(position, record.getCellValue(requirementsField.id), requirementAreas);
+        if (result) {
+            results.set(record.id, result);
+        }
+    });
+    return results;
+}
+
+// Cell values for the "Within Radius" checkbox and straight-line distance fields,
+// limited to listings whose stored values differ from the current check
+export function buildRadiusCheckUpdates(listingRecords, radiusChecks, fields, unit) {
+    const { withinRadiusField, straightLineDistanceField } = fields;
+    const updates = [];
+
+    (listingRecords || []).forEach(record => {
+        const result = radiusChecks.get(record.id);
+        if (!result) {
+            return;
+        }
+
+        const cellValues = {};
+        if (withinRadiusField && Boolean(record.getCellValue(withinRadiusField.id)) !== result.isWithin) {
+            cellValues[withinRadiusField.id] = result.isWithin;
+        }
+        if (straightLineDistanceField) {
+            const distance = Math.round(fromMeters(result.nearest.distanceMeters, unit) * 100) / 100;
+            if (record.getCellValue(straightLineDistanceField.id) !== distance) {
+                cellValues[straightLineDistanceField.id] = distance;
+            }
+        }
+
+        if (Object.keys(cellValues).length > 0) {
+            updates.push({ id: record.id, fields: cellValues });
+        }
+    });
+
+    return updates;
+}
@@ -0,0 +1,9 @@
+// Airtable allows at most 50 records per create/update call
+export const RECORD_BATCH_SIZE = 50;
+
+// Apply updates in batches, awaiting each call to stay under the write rate limit
+export async function updateRecordsInBatchesAsync(table, updates) {
+    for (let i = 0; i < updates.length; i += RECORD_BATCH_SIZE) {
+        await table.updateRecordsAsync(updates.slice(i, i + RECORD_BATCH_SIZE));
+    }
+}
@@ -0,0 +1,13 @@
+// Only absolute http(s) URLs are rendered as links or images; anything else
+// (javascript:, data:, relative paths, typos) is dropped
+export function toSafeUrl(value) {
+    if (!value) {
+        return null;
+    }
+    try {
+        const url = new URL(String(value).trim());
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch {
+        return null;
+    }
+}
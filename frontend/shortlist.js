@@ -0,0 +1,47 @@
+import { FieldType } from '@airtable/blocks/interface/models';
+import { buildStatusUpdates } from './bulkActions';
+
+// Each collaborator's shortlist is a list of listing record IDs in the global config,
+// under shortlists.<user ID>. The cap keeps the comparison table readable and the
+// config (shared with boundary layers) small.
+export const SHORTLIST_CONFIG_KEY = 'shortlists';
+export const MAX_SHORTLIST_SIZE = 12;
+
+export const getShortlistConfigPath = (userId) => [SHORTLIST_CONFIG_KEY, userId];
+
+export function isShortlistMarkFieldAllowed(field) {
+    return field.config.type === FieldType.CHECKBOX || field.config.type === FieldType.SINGLE_SELECT;
+}
+
+// Single selects can only be set to an existing choice
+export function canMarkWithChoice(markField, choiceName) {
+    if (markField.type !== FieldType.SINGLE_SELECT) {
+        return true;
+    }
+    return Boolean(markField.options && markField.options.choices.some(choice => choice.name === choiceName));
+}
+
+// Checks the checkbox or sets the single select to the named choice on each listing,
+// skipping listings that are already marked
+export function buildShortlistMarkUpdates(records, markField, choiceName) {
+    if (markField.type !== FieldType.CHECKBOX) {
+        return buildStatusUpdates(records, markField, choiceName);
+    }
+    return records
+        .filter(record => !record.getCellValue(markField.id))
+        .map(record => ({ id: record.id, fields: { [markField.id]: true } }));
+}
+
+// Indexes of the best values in a comparison row: the lowest unless higher is better.
+// Nothing is highlighted when fewer than two listings have a value or they all tie.
+export function findBestIndexes(values, higherIsBetter) {
+    const numbers = values.filter(value => value !== null);
+    if (numbers.length < 2) {
+        return [];
+    }
+    const best = higherIsBetter ? Math.max(...numbers) : Math.min(...numbers);
+    if (numbers.every(value => value === best)) {
+        return [];
+    }
+    return values.reduce((indexes, value, index) => (value === best ? [...indexes, index] : indexes), []);
+}
@@ -0,0 +1,199 @@
+import { distanceMeters } from './geo';
+import { formatDistance, formatDuration, formatLatLng, pluralize } from './format';
+import { escapeXml, downloadFile } from './mapExport';
+
+// Google Maps directions links take the start, the last stop and at most nine
+// waypoints in between
+export const MAX_TOUR_STOPS = 10;
+
+// Legs without a driving route are ordered as if driven at this speed (about 40 km/h)
+const ESTIMATE_METERS_PER_SECOND = 11;
+
+// The requirement a tour starts from: the preferred one (e.g. the focused requirement)
+// when it's on the map, otherwise the one most stops are linked to, otherwise the one
+// nearest the first stop
+export function pickTourStartId(stops, requirementAreas, preferredId) {
+    if (preferredId && requirementAreas.has(preferredId)) {
+        return preferredId;
+    }
+    const linkCounts = new Map();
+    stops.forEach(stop => {
+        stop.requirementIds
+            .filter(id => requirementAreas.has(id))
+            .forEach(id => linkCounts.set(id, (linkCounts.get(id) || 0) + 1));
+    });
+    if (linkCounts.size > 0) {
+        return [...linkCounts].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+    }
+    if (stops.length === 0 || requirementAreas.size === 0) {
+        return null;
+    }
+    return [...requirementAreas.values()].reduce((nearest, area) => (
+        distanceMeters(stops[0].position, area.position) < distanceMeters(stops[0].position, nearest.position) ? area : nearest
+    )).record.id;
+}
+
+// Straight-line stand-in for a leg the routing service couldn't drive
+const estimateLeg = (from, to) => ({ distanceMeters: distanceMeters(from, to), durationSeconds: null, isEstimate: true });
+
+// Legs between every pair of points, one matrix request per origin. Without a
+// routing service every leg is a straight-line estimate.
+async function buildLegMatrixAsync(positions, getDistanceMatrix) {
+    const matrix = [];
+    for (const origin of positions) {
+        const elements = getDistanceMatrix ? await getDistanceMatrix(origin, positions) : [];
+        matrix.push(positions.map((destination, index) => {
+            const element = elements[index];
+            return element && element.status === 'OK'
+                ? { distanceMeters: element.distanceMeters, durationSeconds: element.durationSeconds, isEstimate: false }
+                : estimateLeg(origin, destination);
+        }));
+    }
+    return matrix;
+}
+
+const legCost = (leg) => (leg.durationSeconds !== null ? leg.durationSeconds : leg.distanceMeters / ESTIMATE_METERS_PER_SECOND);
+
+// Visiting order of points 1..n that minimizes the total cost of a one-way trip from
+// point 0 (Held-Karp, exact and quick for the ten or so stops of a tour)
+export function findShortestOrder(costs) {
+    const count = costs.length - 1;
+    if (count <= 0) {
+        return [];
+    }
+    const full = (1 << count) - 1;
+    const best = Array.from({ length: full + 1 }, () => new Array(count).fill(Infinity));
+    const previous = Array.from({ length: full + 1 }, () => new Array(count).fill(-1));
+    for (let stop = 0; stop < count; stop++) {
+        best[1 << stop][stop] = costs[0][stop + 1];
+    }
+
+    for (let visited = 1; visited <= full; visited++) {
+        for (let last = 0; last < count; last++) {
+            if (!(visited & (1 << last)) || best[visited][last] === Infinity) {
+                continue;
+            }
+            for (let next = 0; next < count; next++) {
+                if (visited & (1 << next)) {
+                    continue;
+                }
+                const nextVisited = visited | (1 << next);
+                const cost = best[visited][last] + costs[last + 1][next + 1];
+                if (cost < best[nextVisited][next]) {
+                    best[nextVisited][next] = cost;
+                    previous[nextVisited][next] = last;
+                }
+            }
+        }
+    }
+
+    let last = 0;
+    for (let stop = 1; stop < count; stop++) {
+        if (best[full][stop] < best[full][last]) {
+            last = stop;
+        }
+    }
+    const order = [];
+    let visited = full;
+    while (last !== -1) {
+        order.unshift(last + 1);
+        const before = previous[visited][last];
+        visited &= ~(1 << last);
+        last = before;
+    }
+    return order;
+}
+
+// Plans the driving order from the start through every stop. Start and stops are
+// {id, name, address, position}; the plan lists each stop with the leg that reaches it.
+export async function planTourAsync(start, stops, getDistanceMatrix) {
+    const positions = [start.position, ...stops.map(stop => stop.position)];
+    const matrix = await buildLegMatrixAsync(positions, getDistanceMatrix);
+    const order = findShortestOrder(matrix.map(row => row.map(legCost)));
+
+    let from = 0;
+    const legs = order.map(index => {
+        const leg = { ...matrix[from][index], stop: stops[index - 1] };
+        from = index;
+        return leg;
+    });
+    return {
+        start,
+        legs,
+        totalMeters: legs.reduce((total, leg) => total + leg.distanceMeters, 0),
+        totalSeconds: legs.some(leg => leg.durationSeconds === null)
+            ? null
+            : legs.reduce((total, leg) => total + leg.durationSeconds, 0),
+    };
+}
+
+export function buildDirectionsUrl(plan) {
+    const stopPositions = plan.legs.map(leg => formatLatLng(leg.stop.position));
+    const params = new URLSearchParams({
+        api: '1',
+        origin: formatLatLng(plan.start.position),
+        destination: stopPositions[stopPositions.length - 1],
+        travelmode: 'driving',
+    });
+    if (stopPositions.length > 1) {
+        params.set('waypoints', stopPositions.slice(0, -1).join('|'));
+    }
+    return `https://www.google.com/maps/dir/?${params}`;
+}
+
+// A standalone HTML itinerary for printing
+export function buildTourSheetHtml(plan, unit) {
+    const rows = plan.legs.map((leg, index) => (
+        `<tr><td>${index + 1}</td><td>${escapeXml(leg.stop.name)}</td><td>${escapeXml(leg.stop.address)}</td>` +
+        `<td>${leg.durationSeconds !== null ? formatDuration(leg.durationSeconds) : ''}</td>` +
+        `<td>${leg.isEstimate ? '≈ ' : ''}${formatDistance(leg.distanceMeters, unit)}</td><td></td></tr>`
+    ));
+    const total = plan.totalSeconds !== null
+        ? `${formatDuration(plan.totalSeconds)} driving, ${formatDistance(plan.totalMeters, unit)}`
+        : formatDistance(plan.totalMeters, unit);
+    const directionsUrl = escapeXml(buildDirectionsUrl(plan));
+
+    return [
+        '<!DOCTYPE html>',
+        '<html><head><meta charset="utf-8">',
+        `<title>Site tour from ${escapeXml(plan.start.name)}</title>`,
+        '<style>',
+        'body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; font-size: 13px; color: #202124; margin: 24px; }',
+        'h1 { font-size: 20px; margin: 0 0 4px; }',
+        'table { width: 100%; border-collapse: collapse; margin: 16px 0; }',
+        'th, td { border-bottom: 1px solid #ccc; padding: 8px 6px; text-align: left; vertical-align: top; }',
+        'td:last-child { width: 30%; }',
+        'a { color: #1976d2; word-break: break-all; }',
+        '</style></head><body>',
+        `<h1>Site tour from ${escapeXml(plan.start.name)}</h1>`,
+        `<div>Start: ${escapeXml(plan.start.address)}</div>`,
+        `<div>${pluralize(plan.legs.length, 'stop')}, ${total}</div>`,
+        '<table><thead><tr><th>#</th><th>Listing</th><th>Address</th><th>Drive time</th><th>Distance</th><th>Notes</th></tr></thead>',
+        `<tbody>${rows.join('')}</tbody></table>`,
+        `<div>Directions: <a href="${directionsUrl}">${directionsUrl}</a></div>`,
+        '</body></html>',
+    ].join('\n');
+}
+
+// Prints through a hidden frame so the extension stays put. Where printing is
+// blocked, the sheet is downloaded to print from the browser instead.
+export function printTourSheet(plan, unit) {
+    const html = buildTourSheetHtml(plan, unit);
+    const frame = document.createElement('iframe');
+    frame.style.position = 'fixed';
+    frame.style.width = '0';
+    frame.style.height = '0';
+    frame.style.border = '0';
+    frame.onload = () => {
+        try {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+        } catch (err) {
+            console.warn('Failed to print tour sheet:', err);
+            downloadFile('site-tour.html', html, 'text/html');
+        }
+        setTimeout(() => frame.remove(), 1000);
+    };
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+}
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { boundaryContains, boundaryKey, findContainingBoundaries, listBoundaries, parseBoundaryFile } from '../frontend/boundaries';
+
+const square = (min, max) => [[min, min], [max, min], [max, max], [min, max], [min, min]];
+
+const geoJson = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+        { type: 'Feature', properties: { name: 'Downtown' }, geometry: { type: 'Polygon', coordinates: [square(0, 10), square(4, 6)] } },
+        { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [1, 1] } },
+    ],
+});
+
+describe('boundaries', () => {
+    it('keeps polygons from GeoJSON and names the layer after the file', () => {
+        const layer = parseBoundaryFile('districts.geojson', geoJson, []);
+        expect(layer.name).toBe('districts');
+        expect(layer.polygons).toHaveLength(1);
+        expect(layer.polygons[0].name).toBe('Downtown');
+        expect(() => parseBoundaryFile('points.json', JSON.stringify({ type: 'Point', coordinates: [1, 1] }), [])).toThrow('No polygons found');
+    });
+
+    it('keeps KML polygons with their holes', () => {
+        const ring = (coordinates) => `<LinearRing><coordinates>${coordinates}</coordinates></LinearRing>`;
+        const kml = '<kml><Document><Placemark><name>Park</name><Polygon>' +
+            `<outerBoundaryIs>${ring('0,0 10,0 10,10 0,10 0,0')}</outerBoundaryIs>` +
+            `<innerBoundaryIs>${ring('4,4 6,4 6,6 4,6 4,4')}</innerBoundaryIs>` +
+            '</Polygon></Placemark></Document></kml>';
+        const layer = parseBoundaryFile('parks.kml', kml, [{ id: 'existing' }]);
+        expect(layer.name).toBe('parks');
+        expect(layer.polygons).toEqual([{ name: 'Park', rings: [square(0, 10), square(4, 6)] }]);
+    });
+
+    it('contains points inside the outer ring but outside its holes', () => {
+        const layer = parseBoundaryFile('districts.geojson', geoJson, []);
+        const boundaries = listBoundaries([layer]);
+        const key = boundaryKey(layer, 0);
+        expect(boundaryContains(boundaries, key, { lat: 2, lng: 2 })).toBe(true);
+        expect(boundaryContains(boundaries, key, { lat: 5, lng: 5 })).toBe(false);
+        expect(findContainingBoundaries({ lat: 20, lng: 20 }, boundaries)).toEqual([]);
+    });
+});
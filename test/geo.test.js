@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { circleVertices, distanceMeters, getFieldDistanceUnit, isPointInPolygon, parseRadiusList, toMeters } from '../frontend/geo';
+
+describe('geo', () => {
+    it('parses ring lists into sorted, de-duplicated distances', () => {
+        expect(parseRadiusList('10, 5/15; 5 nope')).toEqual([5, 10, 15]);
+        expect(parseRadiusList('')).toEqual([]);
+    });
+
+    it('converts units and reads the unit from a field name', () => {
+        expect(toMeters(1, 'km')).toBe(1000);
+        expect(toMeters(1, 'unknown')).toBeCloseTo(1609.344);
+        expect(getFieldDistanceUnit({ name: 'Drive Distance (km)' }, 'miles')).toBe('km');
+        expect(getFieldDistanceUnit({ name: 'Distance' }, 'miles')).toBe('miles');
+    });
+
+    it('measures great-circle distances', () => {
+        // One degree of latitude is about 111.2 km
+        expect(distanceMeters({ lat: 0, lng: 0 }, { lat: 1, lng: 0 })).toBeCloseTo(111195, -1);
+    });
+
+    it('tests points against a polygon', () => {
+        const square = [{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }, { lat: 1, lng: 1 }, { lat: 1, lng: 0 }];
+        expect(isPointInPolygon({ lat: 0.5, lng: 0.5 }, square)).toBe(true);
+        expect(isPointInPolygon({ lat: 1.5, lng: 0.5 }, square)).toBe(false);
+    });
+
+    it('builds a closed circle at the given radius', () => {
+        const center = { lat: 40, lng: -74 };
+        const vertices = circleVertices(center, 5000, 8);
+        expect(vertices).toHaveLength(9);
+        expect(vertices[8].lat).toBeCloseTo(vertices[0].lat);
+        vertices.forEach(vertex => expect(distanceMeters(center, vertex)).toBeCloseTo(5000, 0));
+    });
+});
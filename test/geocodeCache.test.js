@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { buildCacheFields, getCachedLocation, hasGeocodeCacheFields, needsCacheUpdate } from '../frontend/geocodeCache';
+
+const fields = {
+    latitudeField: { id: 'fldLat', options: { precision: 6 } },
+    longitudeField: { id: 'fldLng', options: { precision: 6 } },
+    cacheField: { id: 'fldCache' },
+};
+
+const recordWith = (values) => ({
+    getCellValue: (fieldId) => (fieldId in values ? values[fieldId] : null),
+    getCellValueAsString: (fieldId) => (fieldId in values ? String(values[fieldId]) : ''),
+});
+
+describe('geocodeCache', () => {
+    it('needs the cache field to cache', () => {
+        expect(hasGeocodeCacheFields(fields)).toBe(true);
+        expect(hasGeocodeCacheFields({ latitudeField: fields.latitudeField, longitudeField: fields.longitudeField })).toBe(false);
+    });
+
+    it('reads back a location cached for the same address', () => {
+        const cellValues = buildCacheFields(fields, ' 1 Main St ', { lat: 40.1, lng: -74.2 });
+        const record = recordWith(cellValues);
+        expect(getCachedLocation(record, '1  main st', fields)).toEqual({ lat: 40.1, lng: -74.2 });
+        expect(getCachedLocation(record, '2 Main St', fields)).toBeNull();
+        expect(getCachedLocation(recordWith({ fldCache: 'not json' }), '1 Main St', fields)).toBeNull();
+    });
+
+    it('compares coordinates at the field precision', () => {
+        const cellValues = buildCacheFields(fields, '1 Main St', { lat: 40.12345678, lng: -74.2 });
+        const stored = recordWith({ ...cellValues, fldLat: 40.123457 });
+        expect(needsCacheUpdate(stored, fields, cellValues)).toBe(false);
+        expect(needsCacheUpdate(recordWith({ ...cellValues, fldLat: 40.2 }), fields, cellValues)).toBe(true);
+    });
+});
@@ -0,0 +1,30 @@
+import { readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { describe, expect, it } from 'vitest';
+
+// Bundlers only warn about named imports a module doesn't export, and the linter
+// doesn't check them, so every relative import in frontend/ is checked here
+const FRONTEND_DIR = join(__dirname, '..', 'frontend');
+const IMPORT_PATTERN = /import\s*(?:\w+\s*,\s*)?\{([^}]*)\}\s*from\s*'\.\/([\w.-]+)'/g;
+const EXPORT_PATTERN = /export\s+(?:async\s+)?(?:function|const|let|class)\s+(\w+)/g;
+
+const sources = new Map(readdirSync(FRONTEND_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => [file.replace(/\.js$/, ''), readFileSync(join(FRONTEND_DIR, file), 'utf8')]));
+
+const exportsOf = (source) => [...source.matchAll(EXPORT_PATTERN)].map(match => match[1]);
+
+describe('frontend imports', () => {
+    sources.forEach((source, moduleName) => {
+        it(`${moduleName} imports only names its sibling modules export`, () => {
+            [...source.matchAll(IMPORT_PATTERN)].forEach(([, names, target]) => {
+                expect(sources.has(target), `./${target} exists`).toBe(true);
+                const exported = exportsOf(sources.get(target));
+                names.split(',')
+                    .map(name => name.trim().split(/\s+as\s+/)[0])
+                    .filter(Boolean)
+                    .forEach(name => expect(exported, `./${target} exports ${name}`).toContain(name));
+            });
+        });
+    });
+});
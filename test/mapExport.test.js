@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { escapeXml, toCsv, toGeoJson, toKml } from '../frontend/mapExport';
+
+const exportData = {
+    requirements: [{ id: 'recReq', name: 'HQ, "North"', address: '1 Main St', position: { lat: 40, lng: -74 }, radiusMeters: 1609.344, radius: 1 }],
+    listings: [{
+        id: 'recListing',
+        name: '=HYPERLINK("http://example.com")',
+        address: '-2 Side St',
+        url: '',
+        driveDistance: 3.5,
+        driveTimeMinutes: 12,
+        propertyType: 'Office',
+        requirements: 'HQ',
+        withinRadius: false,
+        position: { lat: 40.01, lng: -74.01 },
+    }],
+    unitLabel: 'mi',
+    driveDistanceUnitLabel: 'km',
+};
+
+describe('mapExport', () => {
+    it('exports points and radius polygons as GeoJSON in lng, lat order', () => {
+        const { features } = JSON.parse(toGeoJson(exportData));
+        expect(features.map(feature => feature.properties.type)).toEqual(['requirement', 'requirementRadius', 'listing']);
+        expect(features[0].geometry.coordinates).toEqual([-74, 40]);
+        expect(features[0].properties.radius_mi).toBe(1);
+        expect(features[2].properties.driveDistance_km).toBe(3.5);
+    });
+
+    it('escapes KML text', () => {
+        expect(escapeXml(`<a & 'b'>`)).toBe('&lt;a &amp; &apos;b&apos;&gt;');
+        const kml = toKml(exportData);
+        expect(kml).toContain('<name>HQ, &quot;North&quot;</name>');
+        expect(kml).toContain('<styleUrl>#listingOutside</styleUrl>');
+    });
+
+    it('quotes CSV cells and guards text that would run as a formula', () => {
+        const [header, requirement, listing] = toCsv(exportData).split('\r\n');
+        expect(header.split(',')).toContain('driveDistance_km');
+        expect(requirement).toContain('"HQ, ""North"""');
+        expect(requirement).toContain(',-74,');
+        expect(listing).toContain(`"'=HYPERLINK(""http://example.com"")"`);
+        expect(listing).toContain(`,'-2 Side St,`);
+    });
+});
@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { buildDirectionsUrl, findShortestOrder, pickTourStartId, planTourAsync } from '../frontend/tourRoute';
+
+const stop = (id, lat, lng, requirementIds = []) => ({ id, name: id, address: id, position: { lat, lng }, requirementIds });
+
+describe('tourRoute', () => {
+    it('visits points in the cheapest order', () => {
+        // From 0, going 2 -> 1 -> 3 costs 1 + 1 + 1
+        const costs = [
+            [0, 5, 1, 9],
+            [5, 0, 1, 1],
+            [1, 1, 0, 9],
+            [9, 1, 9, 0],
+        ];
+        expect(findShortestOrder(costs)).toEqual([2, 1, 3]);
+    });
+
+    it('starts from the requirement most stops are linked to', () => {
+        const requirementAreas = new Map([
+            ['recA', { record: { id: 'recA' }, position: { lat: 0, lng: 0 } }],
+            ['recB', { record: { id: 'recB' }, position: { lat: 1, lng: 1 } }],
+        ]);
+        const stops = [stop('s1', 0, 0, ['recB']), stop('s2', 0, 0, ['recA', 'recB'])];
+        expect(pickTourStartId(stops, requirementAreas, null)).toBe('recB');
+        expect(pickTourStartId(stops, requirementAreas, 'recA')).toBe('recA');
+        expect(pickTourStartId([stop('s3', 0.9, 0.9)], requirementAreas, null)).toBe('recB');
+    });
+
+    it('plans with straight-line estimates and links the stops in order', async () => {
+        const start = stop('start', 0, 0);
+        const plan = await planTourAsync(start, [stop('far', 0, 0.2), stop('near', 0, 0.1)], null);
+        expect(plan.legs.map(leg => leg.stop.id)).toEqual(['near', 'far']);
+        expect(plan.legs.every(leg => leg.isEstimate)).toBe(true);
+        expect(plan.totalSeconds).toBeNull();
+
+        const url = new URL(buildDirectionsUrl(plan));
+        expect(url.searchParams.get('origin')).toBe('0.000000,0.000000');
+        expect(url.searchParams.get('destination')).toBe('0.000000,0.200000');
+        expect(url.searchParams.get('waypoints')).toBe('0.000000,0.100000');
+    });
+});
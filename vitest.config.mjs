@@ -0,0 +1,15 @@
+import {defineConfig} from 'vitest/config';
+
+export default defineConfig({
+    test: {
+        include: ['test/**/*.test.js'],
+        // The extension runs in the browser, and the SDK expects window at import time
+        environment: 'jsdom',
+        server: {
+            deps: {
+                // The SDK's ESM build uses extensionless imports, which only the bundler resolves
+                inline: [/@airtable\/blocks/],
+            },
+        },
+    },
+});